@@ -7,13 +7,23 @@ import Razorpay from "razorpay";
 import xlsx from "xlsx";
 import fs from "fs";
 import path from "path";
+import os from "os";
 import crypto from "crypto";
 import dotenv from "dotenv";
 import { fileURLToPath } from "url";
 import cors from "cors";
 import { v2 as cloudinary } from 'cloudinary';
 import multer from "multer";
-import { CloudinaryStorage } from "multer-storage-cloudinary";
+import { Readable, Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { S3Client, DeleteObjectCommand, GetObjectCommand } from "@aws-sdk/client-s3";
+import { Upload } from "@aws-sdk/lib-storage";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import PDFDocument from "pdfkit";
+import Handlebars from "handlebars";
+import { convert as convertHtmlToText } from "html-to-text";
+import { initializeApp, cert } from "firebase-admin/app";
+import { getAuth } from "firebase-admin/auth";
 
 // Configure dotenv
 dotenv.config();
@@ -26,7 +36,17 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-app.use(express.json());
+// Proxies in front of the app (one on Render). req.ip is then the address the
+// nearest of them saw, and X-Forwarded-For entries added by the client are
+// ignored. Set TRUST_PROXY_HOPS=0 when the app is reached directly.
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS ?? '1', 10) || 0);
+
+// Keep the raw request body around so webhook signatures can be verified
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // CORS configuration
 const allowedOrigins = [
@@ -36,6 +56,11 @@ const allowedOrigins = [
   'http://localhost:3000'
 ];
 
+// Frontend base URL used for links in emails
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://astaphonicsfuns-quickjoins-projects.vercel.app';
+// Public address of this API, used for links printed on certificates
+const PUBLIC_API_URL = (process.env.PUBLIC_API_URL || '').replace(/\/$/, '');
+
 app.use(cors({
   origin: function (origin, callback) {
     if (!origin || allowedOrigins.includes(origin)) {
@@ -59,31 +84,370 @@ cloudinary.config({
   secure: true
 });
 
-// Configure multer storage with Cloudinary
-const storage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: 'asta_education_content',
-    resource_type: 'auto',
-    allowed_formats: ['jpg', 'jpeg', 'png', 'pdf', 'docx', 'doc', 'pptx', 'mp4'],
+// Storage drivers for uploaded files. Each driver stores a stream and returns
+// { key, url, size }; the key is what goes in storage_path and is all the
+// driver needs to delete the file later. Rows also record which driver stored
+// them, so files stay deletable after switching STORAGE_DRIVER.
+//
+// Files are private: the stored url does not work on its own. Access goes
+// through signedUrl(key, { expiresIn }) for a short-lived link, or
+// open(key) to stream the file through the API.
+const STORAGE_FOLDER = 'asta_education_content';
+
+// Count the bytes passing through a stream
+function createByteCounter() {
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      counter.bytes += chunk.length;
+      callback(null, chunk);
+    }
+  });
+  counter.bytes = 0;
+  return counter;
+}
+
+// Stream a file from a URL, e.g. a signed link to a private file
+async function openUrl(url) {
+  const response = await fetch(url);
+
+  if (!response.ok) {
+    throw new Error(`Could not fetch stored file: HTTP ${response.status}`);
+  }
+
+  return {
+    stream: Readable.fromWeb(response.body),
+    contentType: response.headers.get('content-type'),
+    size: parseInt(response.headers.get('content-length'), 10) || null
+  };
+}
+
+const CLOUDINARY_DELIVERY_TYPES = ['upload', 'authenticated', 'private'];
+
+// Split a Cloudinary key "<resource_type>/<delivery_type>/<public_id>[.<format>]".
+// Raw files keep their extension in the public_id. Keys without a delivery type
+// were written before uploads became authenticated and are "upload".
+function parseCloudinaryKey(key) {
+  const [resourceType, ...rest] = key.split('/');
+  const type = CLOUDINARY_DELIVERY_TYPES.includes(rest[0]) ? rest.shift() : 'upload';
+  const publicId = rest.join('/');
+  const extension = resourceType !== 'raw' ? /\.([^./]+)$/.exec(publicId) : null;
+
+  return {
+    resourceType,
+    type,
+    publicId: extension ? publicId.slice(0, -extension[0].length) : publicId,
+    format: extension ? extension[1] : undefined
+  };
+}
+
+// Cloudinary driver. New uploads use the "authenticated" delivery type, so
+// their plain URLs are refused and only signed download links work. Files are
+// sent in chunks: a single upload request is capped at 100MB, chunked uploads
+// only by the account's plan.
+const CLOUDINARY_CHUNK_SIZE = 20 * 1024 * 1024;
+
+function createCloudinaryDriver() {
+  const driver = {
+    async put(stream, { folder }) {
+      const result = await new Promise((resolve, reject) => {
+        stream.on('error', reject);
+        stream.pipe(cloudinary.uploader.upload_chunked_stream(
+          { folder, resource_type: 'auto', type: 'authenticated', chunk_size: CLOUDINARY_CHUNK_SIZE },
+          (error, uploaded) => (error ? reject(error) : resolve(uploaded))
+        ));
+      });
+
+      const format = result.resource_type !== 'raw' && result.format ? `.${result.format}` : '';
+      return {
+        key: `${result.resource_type}/${result.type}/${result.public_id}${format}`,
+        url: cloudinary.url(`${result.public_id}${format}`, { resource_type: result.resource_type, type: result.type }),
+        size: result.bytes
+      };
+    },
+
+    async remove(key) {
+      const { resourceType, type, publicId } = parseCloudinaryKey(key);
+      const result = await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, type });
+
+      if (result.result !== 'ok' && result.result !== 'not found') {
+        throw new Error(`Cloudinary could not delete ${key}: ${result.result}`);
+      }
+    },
+
+    async signedUrl(key, { expiresIn }) {
+      const { resourceType, type, publicId, format } = parseCloudinaryKey(key);
+
+      return cloudinary.utils.private_download_url(publicId, format, {
+        resource_type: resourceType,
+        type,
+        expires_at: Math.floor(Date.now() / 1000) + expiresIn
+      });
+    },
+
+    async open(key) {
+      return openUrl(await driver.signedUrl(key, { expiresIn: 60 }));
+    }
+  };
+
+  return driver;
+}
+
+// Local filesystem driver, for development. Signed links point at GET /files/*
+// and are checked with an HMAC of the key and expiry time.
+function createLocalDriver() {
+  const root = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, 'uploads'));
+
+  // Without a configured secret, links stop working when the server restarts
+  const signingSecret = process.env.STORAGE_SIGNING_SECRET || crypto.randomBytes(32).toString('hex');
+  const sign = (key, expires) => crypto.createHmac('sha256', signingSecret).update(`${key}:${expires}`).digest('hex');
+
+  // Keys are generated by us, but never let one point outside the upload directory
+  const resolveKey = key => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    resolveKey,
+
+    // Check the signature of a /files link
+    verify(key, expires, signature) {
+      if (!(parseInt(expires, 10) > Math.floor(Date.now() / 1000)) || !signature) {
+        return false;
+      }
+
+      const expected = Buffer.from(sign(key, expires));
+      const received = Buffer.from(String(signature));
+      return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    },
+
+    async put(stream, { folder, originalname }) {
+      const key = `${folder}/${crypto.randomBytes(16).toString('hex')}${path.extname(originalname || '').toLowerCase()}`;
+      const filePath = resolveKey(key);
+      const counter = createByteCounter();
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await pipeline(stream, counter, fs.createWriteStream(filePath));
+
+      return { key, url: `${PUBLIC_API_URL}/files/${key}`, size: counter.bytes };
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    },
+
+    async signedUrl(key, { expiresIn }) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      return `${PUBLIC_API_URL}/files/${key}?expires=${expires}&signature=${sign(key, expires)}`;
+    },
+
+    async open(key) {
+      const filePath = resolveKey(key);
+      const stats = await fs.promises.stat(filePath);
+      return { stream: fs.createReadStream(filePath), contentType: null, size: stats.size };
+    }
+  };
+}
+
+// S3-compatible driver (AWS S3, MinIO, ...). Set STORAGE_S3_ENDPOINT for
+// anything that is not AWS. The bucket should not allow public reads; access
+// is through presigned URLs.
+function createS3Driver() {
+  const bucket = process.env.STORAGE_S3_BUCKET;
+  const endpoint = process.env.STORAGE_S3_ENDPOINT;
+  const region = process.env.STORAGE_S3_REGION || 'us-east-1';
+
+  if (!bucket) {
+    throw new Error('STORAGE_S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const s3 = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle: Boolean(endpoint),
+    credentials: process.env.STORAGE_S3_ACCESS_KEY_ID ? {
+      accessKeyId: process.env.STORAGE_S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.STORAGE_S3_SECRET_ACCESS_KEY
+    } : undefined
+  });
+  const bucketUrl = (endpoint ? `${endpoint}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`).replace(/\/$/, '');
+
+  return {
+    client: s3,
+    bucket,
+
+    async put(stream, { folder, originalname, mimetype }) {
+      const key = `${folder}/${crypto.randomBytes(16).toString('hex')}${path.extname(originalname || '').toLowerCase()}`;
+      const counter = createByteCounter();
+
+      await new Upload({
+        client: s3,
+        params: { Bucket: bucket, Key: key, Body: stream.pipe(counter), ContentType: mimetype }
+      }).done();
+
+      return { key, url: `${bucketUrl}/${key}`, size: counter.bytes };
+    },
+
+    async remove(key) {
+      // S3 treats deleting a missing object as success
+      await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    async signedUrl(key, { expiresIn }) {
+      return getSignedUrl(s3, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+    },
+
+    async open(key) {
+      const result = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return { stream: result.Body, contentType: result.ContentType, size: result.ContentLength || null };
+    }
+  };
+}
+
+const STORAGE_DRIVER_FACTORIES = {
+  cloudinary: createCloudinaryDriver,
+  local: createLocalDriver,
+  s3: createS3Driver
+};
+
+// Driver for new uploads. Without configuration, Cloudinary is used when it
+// has credentials and local disk otherwise.
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+
+if (!STORAGE_DRIVER_FACTORIES[STORAGE_DRIVER]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}"`);
+}
+
+const storageDrivers = {};
+
+// Get a driver by name, creating it on first use. Returns null for files we
+// do not manage ("external", e.g. content uploaded straight to Firebase).
+function getStorageDriver(name) {
+  if (!STORAGE_DRIVER_FACTORIES[name]) {
+    return null;
+  }
+
+  if (!storageDrivers[name]) {
+    storageDrivers[name] = STORAGE_DRIVER_FACTORIES[name]();
+  }
+
+  return storageDrivers[name];
+}
+
+// Delete a stored file. Missing files count as deleted.
+async function removeStoredFile(driverName, key) {
+  const driver = getStorageDriver(driverName);
+
+  if (driver && key) {
+    await driver.remove(key);
+  }
+}
+
+// Remove a file multer has already stored when the request fails afterwards
+async function discardUploadedFile(file) {
+  if (!file) {
+    return;
+  }
+
+  try {
+    await removeStoredFile(file.storage_driver, file.filename);
+  } catch (cleanupError) {
+    console.error('Error cleaning up stored file:', cleanupError);
+  }
+}
+
+// Rows stored before storage drivers existed have a Cloudinary URL (or a
+// Firebase URL) in storage_path. Turn those into driver keys once.
+function cloudinaryKeyFromUrl(url) {
+  const match = /^https?:\/\/res\.cloudinary\.com\/[^/]+\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+)$/.exec(url || '');
+  return match ? `${match[1]}/upload/${decodeURIComponent(match[2])}` : null;
+}
+
+async function migrateLegacyStorageKeys(client) {
+  for (const table of ['lms_content', 'assignment_submissions']) {
+    const result = await client.query(`SELECT id, file_url FROM ${table} WHERE storage_driver IS NULL`);
+
+    for (const row of result.rows) {
+      const key = cloudinaryKeyFromUrl(row.file_url);
+      await client.query(
+        `UPDATE ${table} SET storage_driver = $2, storage_path = COALESCE($3, storage_path) WHERE id = $1`,
+        [row.id, key ? 'cloudinary' : 'external', key]
+      );
+    }
+  }
+}
+
+// Multer storage engine on top of the active driver. After upload, req.file
+// has path (URL), filename (storage key), size and storage_driver.
+const storage = {
+  _handleFile(req, file, cb) {
+    getStorageDriver(STORAGE_DRIVER)
+      .put(file.stream, { folder: STORAGE_FOLDER, originalname: file.originalname, mimetype: file.mimetype })
+      .then(stored => cb(null, {
+        path: stored.url,
+        filename: stored.key,
+        size: stored.size,
+        storage_driver: STORAGE_DRIVER
+      }))
+      .catch(cb);
   },
+
+  _removeFile(req, file, cb) {
+    removeStoredFile(file.storage_driver, file.filename)
+      .then(() => cb(null))
+      .catch(cb);
+  }
+};
+
+// Create the active driver at startup so configuration errors show up immediately
+getStorageDriver(STORAGE_DRIVER);
+console.log(`Using ${STORAGE_DRIVER} storage for uploads`);
+
+// Signed links to files on local disk
+app.get('/files/*key', (req, res) => {
+  const key = req.params.key.join('/');
+  const driver = getStorageDriver('local');
+
+  if (!driver.verify(key, req.query.expires, req.query.signature)) {
+    return res.status(403).json({ error: 'This link is invalid or has expired' });
+  }
+
+  res.sendFile(driver.resolveKey(key), error => {
+    if (error && !res.headersSent) {
+      res.status(error.status || 500).json({ error: 'File not found' });
+    }
+  });
 });
 
+// File types accepted for LMS uploads and assignment submissions
+const allowedMimeTypes = [
+  'image/jpeg', 'image/jpg', 'image/png',
+  'application/pdf',
+  'video/mp4',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/msword'
+];
+
+// Largest file accepted in one request, and through chunked upload sessions
+// for anything but video
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024; // 10MB limit
+
 // Create multer upload instance
 const upload = multer({
   storage,
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  limits: { fileSize: MAX_UPLOAD_BYTES },
   fileFilter: (req, file, cb) => {
     // Check if file type is allowed
-    const allowedMimeTypes = [
-      'image/jpeg', 'image/jpg', 'image/png',
-      'application/pdf',
-      'video/mp4',
-      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/msword'
-    ];
-
     if (allowedMimeTypes.includes(file.mimetype)) {
       cb(null, true);
     } else {
@@ -120,85 +484,870 @@ pool.connect()
   });
 
 // Initialize database tables
+// Run one step of the schema setup. A failed step stops the setup, and with it
+// the server, naming the step that failed.
+async function runSchemaStep(name, step) {
+  try {
+    await step();
+  } catch (err) {
+    throw new Error(`Error initializing ${name}: ${err.message}`, { cause: err });
+  }
+}
+
 async function initializeTables() {
   const client = await pool.connect();
   try {
     // Create students table if not exists
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS students (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(100) NOT NULL,
-        email VARCHAR(100) NOT NULL,
-        phone VARCHAR(20) NOT NULL,
-        course VARCHAR(100) NOT NULL,
-        payment_id VARCHAR(100),
-        payment_status VARCHAR(20) DEFAULT 'successful',
-        amount DECIMAL(10,2) NOT NULL,
-        registration_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    console.log('Students table created or already exists');
-    // Add this near your other table initialization code in initializeTables()
-    await client.query(`
-  CREATE TABLE IF NOT EXISTS lms_content (
-    id SERIAL PRIMARY KEY,
-    title VARCHAR(255) NOT NULL,
-    description TEXT,
-    content_type VARCHAR(50) NOT NULL,
-    file_url TEXT NOT NULL,
-    storage_path TEXT NOT NULL, 
-    file_size BIGINT,
-    file_name VARCHAR(255),
-    created_by VARCHAR(128) NOT NULL,
-    created_by_email VARCHAR(100),
-    firebase_id VARCHAR(128),
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-  )
-`);
-    console.log('LMS content table created or already exists');
+    await runSchemaStep('Students table', async () => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS students (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(100) NOT NULL,
+          email VARCHAR(100) NOT NULL,
+          phone VARCHAR(20) NOT NULL,
+          course VARCHAR(100) NOT NULL,
+          payment_id VARCHAR(100),
+          payment_status VARCHAR(20) DEFAULT 'successful',
+          amount DECIMAL(10,2) NOT NULL,
+          registration_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('Students table created or already exists');
+    });
+
+    // payment_id is the idempotency key shared by /verify-payment and the Razorpay webhook.
+    // Double clicks on /verify-payment before the index existed can have left
+    // duplicate rows. Those are enrollments someone paid for, so they are listed
+    // for an admin to reconcile by hand rather than deleted here.
+    await runSchemaStep('Students payment_id index', async () => {
+      const duplicateResult = await client.query(`
+        SELECT payment_id, ARRAY_AGG(id ORDER BY id) AS student_ids
+        FROM students
+        WHERE payment_id IS NOT NULL
+          AND NOT EXISTS (
+            SELECT 1 FROM pg_indexes WHERE tablename = 'students' AND indexname = 'students_payment_id_key'
+          )
+        GROUP BY payment_id
+        HAVING COUNT(*) > 1
+      `);
+
+      if (duplicateResult.rows.length > 0) {
+        const duplicates = duplicateResult.rows
+          .map(row => `${row.payment_id} (students ${row.student_ids.join(', ')})`)
+          .join('; ');
+        throw new Error(`Students share a payment_id and must be reconciled before it can be made unique: ${duplicates}`);
+      }
+
+      await client.query('CREATE UNIQUE INDEX IF NOT EXISTS students_payment_id_key ON students (payment_id)');
+      console.log('Students payment_id index created or already exists');
+    });
+
+    // Create razorpay_webhook_events table if not exists (used to skip redelivered events)
+    await runSchemaStep('Razorpay webhook events table', async () => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS razorpay_webhook_events (
+          event_id VARCHAR(100) PRIMARY KEY,
+          event VARCHAR(50) NOT NULL,
+          received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('Razorpay webhook events table created or already exists');
+    });
+
+    // Create orders table if not exists
+    await runSchemaStep('Orders table', async () => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS orders (
+          id SERIAL PRIMARY KEY,
+          razorpay_order_id VARCHAR(100) UNIQUE NOT NULL,
+          name VARCHAR(100) NOT NULL,
+          email VARCHAR(100) NOT NULL,
+          phone VARCHAR(20) NOT NULL,
+          course VARCHAR(100) NOT NULL,
+          amount DECIMAL(10,2) NOT NULL,
+          currency VARCHAR(3) NOT NULL DEFAULT 'INR',
+          status VARCHAR(20) NOT NULL DEFAULT 'created'
+            CHECK (status IN ('created', 'attempted', 'paid', 'failed', 'expired')),
+          payment_id VARCHAR(100),
+          student_id INTEGER REFERENCES students(id),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('Orders table created or already exists');
+    });
+
+    // Create courses table if not exists
+    await runSchemaStep('Courses table', async () => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS courses (
+          id SERIAL PRIMARY KEY,
+          slug VARCHAR(100) UNIQUE NOT NULL,
+          title VARCHAR(100) NOT NULL,
+          description TEXT,
+          price DECIMAL(10,2) NOT NULL CHECK (price > 0),
+          currency VARCHAR(3) NOT NULL DEFAULT 'INR',
+          is_active BOOLEAN NOT NULL DEFAULT TRUE,
+          capacity INTEGER CHECK (capacity IS NULL OR capacity > 0),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('Courses table created or already exists');
+    });
+
+    // Link students and orders to the catalog. course_id is the source of truth;
+    // the free-text course column only remains for rows from before the catalog.
+    await runSchemaStep('Course link columns', async () => {
+      await client.query('ALTER TABLE students ADD COLUMN IF NOT EXISTS course_id INTEGER REFERENCES courses(id)');
+      await client.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS course_id INTEGER REFERENCES courses(id)');
+      console.log('Course link columns created or already exist');
+    });
+
+    // Create coupons table if not exists
+    await runSchemaStep('Coupons tables', async () => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS coupons (
+          id SERIAL PRIMARY KEY,
+          code VARCHAR(50) UNIQUE NOT NULL,
+          description TEXT,
+          discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percentage', 'flat')),
+          discount_value DECIMAL(10,2) NOT NULL CHECK (discount_value > 0),
+          max_discount DECIMAL(10,2),
+          valid_from TIMESTAMP,
+          valid_until TIMESTAMP,
+          usage_limit INTEGER,
+          per_email_limit INTEGER,
+          is_active BOOLEAN NOT NULL DEFAULT TRUE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Courses a coupon is restricted to. A coupon without rows here applies to every course.
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS coupon_courses (
+          coupon_id INTEGER NOT NULL REFERENCES coupons(id) ON DELETE CASCADE,
+          course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+          PRIMARY KEY (coupon_id, course_id)
+        )
+      `);
+      console.log('Coupons tables created or already exist');
+    });
+
+    // Record the discount against each order and the resulting student record
+    await runSchemaStep('Coupon discount columns', async () => {
+      await client.query(`
+        ALTER TABLE orders
+          ADD COLUMN IF NOT EXISTS coupon_id INTEGER REFERENCES coupons(id),
+          ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(50),
+          ADD COLUMN IF NOT EXISTS original_amount DECIMAL(10,2),
+          ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0
+      `);
+      await client.query(`
+        ALTER TABLE students
+          ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(50),
+          ADD COLUMN IF NOT EXISTS original_amount DECIMAL(10,2),
+          ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0
+      `);
+      console.log('Coupon discount columns created or already exist');
+    });
+
+    // Create refunds table if not exists
+    await runSchemaStep('Refunds table', async () => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS refunds (
+          id SERIAL PRIMARY KEY,
+          student_id INTEGER NOT NULL REFERENCES students(id),
+          payment_id VARCHAR(100) NOT NULL,
+          razorpay_refund_id VARCHAR(100) UNIQUE NOT NULL,
+          amount DECIMAL(10,2) NOT NULL,
+          reason TEXT,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      // A refund row is stored before Razorpay is called and gets its Razorpay id afterwards
+      await client.query('ALTER TABLE refunds ALTER COLUMN razorpay_refund_id DROP NOT NULL');
+      console.log('Refunds table created or already exists');
+    });
+
+    // Create payment plan tables if not exist
+    await runSchemaStep('Payment plan tables', async () => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS payment_plans (
+          id SERIAL PRIMARY KEY,
+          course_id INTEGER NOT NULL REFERENCES courses(id),
+          name VARCHAR(100) NOT NULL,
+          is_active BOOLEAN NOT NULL DEFAULT TRUE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS payment_plan_installments (
+          plan_id INTEGER NOT NULL REFERENCES payment_plans(id) ON DELETE CASCADE,
+          installment_number INTEGER NOT NULL,
+          amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+          due_after_days INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (plan_id, installment_number)
+        )
+      `);
+
+      // A student's schedule for a plan. student_id is set once the first installment is paid.
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS installment_enrollments (
+          id SERIAL PRIMARY KEY,
+          plan_id INTEGER NOT NULL REFERENCES payment_plans(id),
+          course_id INTEGER NOT NULL REFERENCES courses(id),
+          course VARCHAR(100) NOT NULL,
+          name VARCHAR(100) NOT NULL,
+          email VARCHAR(100) NOT NULL,
+          phone VARCHAR(20) NOT NULL,
+          student_id INTEGER REFERENCES students(id),
+          status VARCHAR(20) NOT NULL DEFAULT 'pending'
+            CHECK (status IN ('pending', 'active', 'completed', 'cancelled')),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS installment_payments (
+          id SERIAL PRIMARY KEY,
+          enrollment_id INTEGER NOT NULL REFERENCES installment_enrollments(id) ON DELETE CASCADE,
+          installment_number INTEGER NOT NULL,
+          amount DECIMAL(10,2) NOT NULL,
+          due_date DATE NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending'
+            CHECK (status IN ('pending', 'paid', 'overdue')),
+          pay_token VARCHAR(64) UNIQUE NOT NULL,
+          payment_id VARCHAR(100),
+          paid_at TIMESTAMP,
+          reminder_sent_at TIMESTAMP,
+          overdue_notice_sent_at TIMESTAMP,
+          UNIQUE (enrollment_id, installment_number)
+        )
+      `);
+      await client.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS installment_id INTEGER REFERENCES installment_payments(id)');
+      // Set when money arrives for an installment that was already paid, so staff refund it
+      await client.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS refund_required BOOLEAN NOT NULL DEFAULT FALSE');
+      console.log('Payment plan tables created or already exist');
+    });
+
+    // Create invoice tables if not exist. Numbers are drawn from invoice_sequences
+    // inside the payment transaction so each financial year's series has no gaps.
+    await runSchemaStep('Invoice tables', async () => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS invoice_sequences (
+          financial_year VARCHAR(7) PRIMARY KEY,
+          last_number INTEGER NOT NULL
+        )
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS invoices (
+          id SERIAL PRIMARY KEY,
+          invoice_number VARCHAR(16) UNIQUE NOT NULL,
+          financial_year VARCHAR(7) NOT NULL,
+          sequence_number INTEGER NOT NULL,
+          order_id INTEGER UNIQUE NOT NULL REFERENCES orders(id),
+          student_id INTEGER REFERENCES students(id),
+          payment_id VARCHAR(100) NOT NULL,
+          customer_name VARCHAR(100) NOT NULL,
+          customer_email VARCHAR(100) NOT NULL,
+          customer_phone VARCHAR(20),
+          place_of_supply VARCHAR(2) NOT NULL,
+          description VARCHAR(255) NOT NULL,
+          sac_code VARCHAR(10) NOT NULL,
+          gross_amount DECIMAL(10,2) NOT NULL,
+          discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+          taxable_value DECIMAL(10,2) NOT NULL,
+          cgst_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+          cgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+          sgst_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+          sgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+          igst_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+          igst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+          total_amount DECIMAL(10,2) NOT NULL,
+          pdf_data BYTEA NOT NULL,
+          issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (financial_year, sequence_number)
+        )
+      `);
+      await client.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS billing_state_code VARCHAR(2)');
+      console.log('Invoice tables created or already exist');
+    });
+
+    // Backfill course_id for students and orders from before the catalog existed.
+    // Course names that match no catalog entry become inactive courses, priced at
+    // the highest amount paid for them, so every row ends up with a course_id.
+    await runSchemaStep('course backfill', async () => {
+      await client.query(`
+        INSERT INTO courses (slug, title, price, is_active)
+        SELECT TRIM(BOTH '-' FROM LOWER(REGEXP_REPLACE(legacy.course, '[^a-zA-Z0-9]+', '-', 'g'))),
+          MIN(legacy.course), MAX(legacy.amount), FALSE
+        FROM (
+          SELECT course, amount FROM students WHERE course_id IS NULL AND course IS NOT NULL
+          UNION ALL
+          SELECT course, amount FROM orders WHERE course_id IS NULL AND course IS NOT NULL
+        ) legacy
+        WHERE NOT EXISTS (
+          SELECT 1 FROM courses c WHERE legacy.course = c.title OR legacy.course = c.slug
+        )
+        AND legacy.amount > 0
+        AND REGEXP_REPLACE(legacy.course, '[^a-zA-Z0-9]+', '', 'g') <> ''
+        GROUP BY 1
+        ON CONFLICT (slug) DO NOTHING
+      `);
+
+      for (const table of ['students', 'orders']) {
+        await client.query(`
+          UPDATE ${table} t SET course_id = c.id
+          FROM courses c
+          WHERE t.course_id IS NULL AND (
+            t.course = c.title OR t.course = c.slug
+            OR TRIM(BOTH '-' FROM LOWER(REGEXP_REPLACE(t.course, '[^a-zA-Z0-9]+', '-', 'g'))) = c.slug
+          )
+        `);
+        await client.query(`ALTER TABLE ${table} ALTER COLUMN course DROP NOT NULL`);
+      }
+      await client.query('ALTER TABLE installment_enrollments ALTER COLUMN course DROP NOT NULL');
+
+      const unmatchedResult = await client.query(
+        'SELECT COUNT(*)::int AS count FROM students WHERE course_id IS NULL'
+      );
+      if (unmatchedResult.rows[0].count > 0) {
+        console.warn(`${unmatchedResult.rows[0].count} students have no course_id, set one by hand`);
+      }
+      console.log('Course references backfilled');
+    });
+
+    await runSchemaStep('LMS content table', async () => {
+      // Add this near your other table initialization code in initializeTables()
+      await client.query(`
+    CREATE TABLE IF NOT EXISTS lms_content (
+      id SERIAL PRIMARY KEY,
+      title VARCHAR(255) NOT NULL,
+      description TEXT,
+      content_type VARCHAR(50) NOT NULL,
+      file_url TEXT NOT NULL,
+      storage_path TEXT NOT NULL, 
+      file_size BIGINT,
+      file_name VARCHAR(255),
+      created_by VARCHAR(128) NOT NULL,
+      created_by_email VARCHAR(100),
+      firebase_id VARCHAR(128),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+      console.log('LMS content table created or already exists');
+    });
 
     // Create contact_messages table if not exists
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS contact_messages (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(100) NOT NULL,
-        email VARCHAR(100) NOT NULL,
-        phone VARCHAR(20),
-        subject VARCHAR(200) NOT NULL,
-        message TEXT NOT NULL,
-        submission_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    console.log('Contact messages table created or already exists');
+    await runSchemaStep('Contact messages table', async () => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS contact_messages (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(100) NOT NULL,
+          email VARCHAR(100) NOT NULL,
+          phone VARCHAR(20),
+          subject VARCHAR(200) NOT NULL,
+          message TEXT NOT NULL,
+          submission_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('Contact messages table created or already exists');
+    });
 
     // Create about_inquiries table if not exists
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS about_inquiries (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(100) NOT NULL,
-        email VARCHAR(100) NOT NULL,
-        subject VARCHAR(200) NOT NULL,
-        message TEXT NOT NULL,
-        submission_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    console.log('About inquiries table created or already exists');
+    await runSchemaStep('About inquiries table', async () => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS about_inquiries (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(100) NOT NULL,
+          email VARCHAR(100) NOT NULL,
+          subject VARCHAR(200) NOT NULL,
+          message TEXT NOT NULL,
+          submission_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('About inquiries table created or already exists');
+    });
 
     // Create users table if not exists
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        uid VARCHAR(128) UNIQUE NOT NULL,
-        name VARCHAR(100) NOT NULL,
-        email VARCHAR(100) UNIQUE NOT NULL,
-        role VARCHAR(20) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    console.log('Users table created or already exists');
+    await runSchemaStep('Users table', async () => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS users (
+          id SERIAL PRIMARY KEY,
+          uid VARCHAR(128) UNIQUE NOT NULL,
+          name VARCHAR(100) NOT NULL,
+          email VARCHAR(100) UNIQUE NOT NULL,
+          role VARCHAR(20) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('Users table created or already exists');
+    });
+
+    // Courses each LMS content item belongs to
+    await runSchemaStep('LMS content courses table', async () => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS lms_content_courses (
+          content_id INTEGER NOT NULL REFERENCES lms_content(id) ON DELETE CASCADE,
+          course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+          PRIMARY KEY (content_id, course_id)
+        )
+      `);
+      console.log('LMS content courses table created or already exists');
+    });
+
+    // Create curriculum tables if not exist: courses contain ordered modules,
+    // modules contain ordered lessons, lessons reference LMS content items
+    await runSchemaStep('Curriculum tables', async () => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS course_modules (
+          id SERIAL PRIMARY KEY,
+          course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+          title VARCHAR(255) NOT NULL,
+          description TEXT,
+          position INTEGER NOT NULL DEFAULT 0,
+          status VARCHAR(20) NOT NULL DEFAULT 'draft'
+            CHECK (status IN ('draft', 'scheduled', 'published')),
+          publish_at TIMESTAMP,
+          CHECK (status <> 'scheduled' OR publish_at IS NOT NULL),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS lessons (
+          id SERIAL PRIMARY KEY,
+          module_id INTEGER NOT NULL REFERENCES course_modules(id) ON DELETE CASCADE,
+          title VARCHAR(255) NOT NULL,
+          description TEXT,
+          position INTEGER NOT NULL DEFAULT 0,
+          status VARCHAR(20) NOT NULL DEFAULT 'draft'
+            CHECK (status IN ('draft', 'scheduled', 'published')),
+          publish_at TIMESTAMP,
+          CHECK (status <> 'scheduled' OR publish_at IS NOT NULL),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS lesson_content (
+          lesson_id INTEGER NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+          content_id INTEGER NOT NULL REFERENCES lms_content(id) ON DELETE CASCADE,
+          position INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (lesson_id, content_id)
+        )
+      `);
+      console.log('Curriculum tables created or already exist');
+    });
+
+    // Create content_progress table if not exists (one row per user and content item)
+    await runSchemaStep('Content progress table', async () => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS content_progress (
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          content_id INTEGER NOT NULL REFERENCES lms_content(id) ON DELETE CASCADE,
+          opened_at TIMESTAMP,
+          completed_at TIMESTAMP,
+          last_position_seconds INTEGER,
+          duration_seconds INTEGER,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (user_id, content_id)
+        )
+      `);
+      console.log('Content progress table created or already exists');
+    });
+
+    // Create quiz tables if not exist
+    await runSchemaStep('Quiz tables', async () => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS quizzes (
+          id SERIAL PRIMARY KEY,
+          course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+          title VARCHAR(255) NOT NULL,
+          description TEXT,
+          time_limit_minutes INTEGER CHECK (time_limit_minutes IS NULL OR time_limit_minutes > 0),
+          max_attempts INTEGER CHECK (max_attempts IS NULL OR max_attempts > 0),
+          shuffle_questions BOOLEAN NOT NULL DEFAULT FALSE,
+          pass_percentage DECIMAL(5,2) NOT NULL DEFAULT 50,
+          is_published BOOLEAN NOT NULL DEFAULT FALSE,
+          reveal_answers BOOLEAN NOT NULL DEFAULT FALSE,
+          created_by VARCHAR(128),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS quiz_questions (
+          id SERIAL PRIMARY KEY,
+          quiz_id INTEGER NOT NULL REFERENCES quizzes(id) ON DELETE CASCADE,
+          question_type VARCHAR(20) NOT NULL
+            CHECK (question_type IN ('single_choice', 'multiple_choice', 'true_false', 'fill_blank', 'ordering')),
+          prompt TEXT NOT NULL,
+          options JSONB NOT NULL DEFAULT '[]',
+          correct_answer JSONB NOT NULL,
+          points DECIMAL(6,2) NOT NULL DEFAULT 1,
+          position INTEGER NOT NULL DEFAULT 0
+        )
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS quiz_attempts (
+          id SERIAL PRIMARY KEY,
+          quiz_id INTEGER NOT NULL REFERENCES quizzes(id) ON DELETE CASCADE,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          question_order INTEGER[] NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'in_progress'
+            CHECK (status IN ('in_progress', 'submitted', 'expired')),
+          answers JSONB,
+          results JSONB,
+          score DECIMAL(8,2),
+          max_score DECIMAL(8,2),
+          percentage DECIMAL(5,2),
+          passed BOOLEAN,
+          started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          expires_at TIMESTAMP,
+          submitted_at TIMESTAMP
+        )
+      `);
+      await client.query('ALTER TABLE quizzes ADD COLUMN IF NOT EXISTS reveal_answers BOOLEAN NOT NULL DEFAULT FALSE');
+      console.log('Quiz tables created or already exist');
+    });
+
+    // Create assignment tables if not exist. Each resubmission is a new
+    // submission row with a higher version, so earlier feedback is kept.
+    await runSchemaStep('Assignment tables', async () => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS assignments (
+          id SERIAL PRIMARY KEY,
+          lesson_id INTEGER NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+          title VARCHAR(255) NOT NULL,
+          instructions TEXT,
+          due_at TIMESTAMP NOT NULL,
+          max_score DECIMAL(6,2) NOT NULL DEFAULT 100,
+          rubric JSONB NOT NULL DEFAULT '[]',
+          allow_late BOOLEAN NOT NULL DEFAULT TRUE,
+          created_by VARCHAR(128),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS assignment_submissions (
+          id SERIAL PRIMARY KEY,
+          assignment_id INTEGER NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          version INTEGER NOT NULL DEFAULT 1,
+          file_url TEXT NOT NULL,
+          storage_path TEXT NOT NULL,
+          file_name VARCHAR(255),
+          file_size BIGINT,
+          comment TEXT,
+          is_late BOOLEAN NOT NULL DEFAULT FALSE,
+          status VARCHAR(30) NOT NULL DEFAULT 'submitted'
+            CHECK (status IN ('submitted', 'graded', 'resubmission_requested')),
+          score DECIMAL(6,2),
+          rubric_scores JSONB,
+          feedback TEXT,
+          graded_by VARCHAR(128),
+          graded_at TIMESTAMP,
+          submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (assignment_id, user_id, version)
+        )
+      `);
+      console.log('Assignment tables created or already exist');
+    });
+
+    // Storage driver that holds each uploaded file (see STORAGE_DRIVER_FACTORIES)
+    await runSchemaStep('Storage driver columns', async () => {
+      await client.query('ALTER TABLE lms_content ADD COLUMN IF NOT EXISTS storage_driver VARCHAR(20)');
+      await client.query('ALTER TABLE assignment_submissions ADD COLUMN IF NOT EXISTS storage_driver VARCHAR(20)');
+      await migrateLegacyStorageKeys(client);
+      console.log('Storage driver columns created or already exist');
+    });
+
+    // Create content access log if not exists - one row per signed link or stream handed out
+    await runSchemaStep('Content access log table', async () => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS content_access_log (
+          id BIGSERIAL PRIMARY KEY,
+          content_id INTEGER NOT NULL REFERENCES lms_content(id) ON DELETE CASCADE,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          mode VARCHAR(10) NOT NULL CHECK (mode IN ('url', 'stream')),
+          ip_address VARCHAR(64),
+          user_agent TEXT,
+          accessed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS content_access_log_user_idx ON content_access_log (user_id, accessed_at)
+      `);
+      console.log('Content access log table created or already exists');
+    });
+
+    // Create upload session tables if not exist, for resumable chunked uploads.
+    // Chunk data lives on local disk until the session is finalized.
+    await runSchemaStep('Upload session tables', async () => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS upload_sessions (
+          id UUID PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          file_name VARCHAR(255) NOT NULL,
+          mime_type VARCHAR(100) NOT NULL,
+          total_size BIGINT NOT NULL CHECK (total_size > 0),
+          chunk_size INTEGER NOT NULL,
+          sha256 VARCHAR(64),
+          title VARCHAR(255) NOT NULL,
+          description TEXT,
+          course_ids INTEGER[] NOT NULL DEFAULT '{}',
+          status VARCHAR(20) NOT NULL DEFAULT 'open'
+            CHECK (status IN ('open', 'finalizing', 'finalized', 'aborted')),
+          content_id INTEGER REFERENCES lms_content(id) ON DELETE SET NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS upload_chunks (
+          session_id UUID NOT NULL REFERENCES upload_sessions(id) ON DELETE CASCADE,
+          chunk_index INTEGER NOT NULL,
+          size INTEGER NOT NULL,
+          sha256 VARCHAR(64) NOT NULL,
+          received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (session_id, chunk_index)
+        )
+      `);
+      console.log('Upload session tables created or already exist');
+    });
+
+    // Create certificates table if not exists - one certificate per enrollment
+    await runSchemaStep('Certificates table', async () => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS certificates (
+          id SERIAL PRIMARY KEY,
+          certificate_code VARCHAR(20) UNIQUE NOT NULL,
+          student_id INTEGER UNIQUE NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+          user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          course_id INTEGER REFERENCES courses(id) ON DELETE SET NULL,
+          student_name VARCHAR(255) NOT NULL,
+          course_title VARCHAR(255) NOT NULL,
+          pdf_data BYTEA NOT NULL,
+          issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          emailed_at TIMESTAMP,
+          revoked_at TIMESTAMP
+        )
+      `);
+      console.log('Certificates table created or already exists');
+    });
+
+    // Create batch tables if not exist: a batch is one cohort of a course with
+    // its teachers and a weekly timetable of live sessions
+    await runSchemaStep('Batch tables', async () => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS batches (
+          id SERIAL PRIMARY KEY,
+          course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+          name VARCHAR(100) NOT NULL,
+          start_date DATE NOT NULL,
+          end_date DATE NOT NULL,
+          capacity INTEGER CHECK (capacity IS NULL OR capacity > 0),
+          is_active BOOLEAN NOT NULL DEFAULT TRUE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          CHECK (end_date >= start_date)
+        )
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS batch_teachers (
+          batch_id INTEGER NOT NULL REFERENCES batches(id) ON DELETE CASCADE,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          PRIMARY KEY (batch_id, user_id)
+        )
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS batch_sessions (
+          id SERIAL PRIMARY KEY,
+          batch_id INTEGER NOT NULL REFERENCES batches(id) ON DELETE CASCADE,
+          title VARCHAR(255),
+          day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+          start_time TIME NOT NULL,
+          duration_minutes INTEGER NOT NULL CHECK (duration_minutes > 0),
+          meeting_url TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query('ALTER TABLE students ADD COLUMN IF NOT EXISTS batch_id INTEGER REFERENCES batches(id) ON DELETE SET NULL');
+      await client.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS batch_id INTEGER REFERENCES batches(id) ON DELETE SET NULL');
+      // Secret token in each user's calendar feed URL, since calendar apps cannot send auth headers
+      await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS calendar_token VARCHAR(64) UNIQUE');
+      console.log('Batch tables created or already exist');
+    });
+
+    // Batches each LMS content item belongs to, for material meant for one cohort only
+    await runSchemaStep('LMS content batches table', async () => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS lms_content_batches (
+          content_id INTEGER NOT NULL REFERENCES lms_content(id) ON DELETE CASCADE,
+          batch_id INTEGER NOT NULL REFERENCES batches(id) ON DELETE CASCADE,
+          PRIMARY KEY (content_id, batch_id)
+        )
+      `);
+      await client.query("ALTER TABLE upload_sessions ADD COLUMN IF NOT EXISTS batch_ids INTEGER[] NOT NULL DEFAULT '{}'");
+      console.log('LMS content batches table created or already exists');
+    });
+
+    // Create attendance table if not exists - one record per student per
+    // occurrence (date) of a weekly batch session
+    await runSchemaStep('Attendance table', async () => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS attendance_records (
+          id SERIAL PRIMARY KEY,
+          session_id INTEGER NOT NULL REFERENCES batch_sessions(id) ON DELETE CASCADE,
+          session_date DATE NOT NULL,
+          student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+          status VARCHAR(10) NOT NULL CHECK (status IN ('present', 'absent', 'late', 'excused')),
+          note TEXT,
+          marked_by VARCHAR(128),
+          marked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (session_id, session_date, student_id)
+        )
+      `);
+      await client.query('ALTER TABLE students ADD COLUMN IF NOT EXISTS guardian_name VARCHAR(100)');
+      await client.query('ALTER TABLE students ADD COLUMN IF NOT EXISTS guardian_email VARCHAR(100)');
+      await client.query('ALTER TABLE students ADD COLUMN IF NOT EXISTS attendance_alert_sent_at TIMESTAMP');
+      console.log('Attendance table created or already exists');
+    });
+
+    // Language for emails sent to a person ('en' or 'hi')
+    await runSchemaStep('Email language columns', async () => {
+      for (const table of ['users', 'students', 'orders', 'installment_enrollments']) {
+        await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS preferred_language VARCHAR(5) NOT NULL DEFAULT 'en'`);
+      }
+      console.log('Email language columns created or already exist');
+    });
+
+    // Create email outbox table if not exists. Emails are rendered and queued in
+    // the same transaction as the change they report, then sent by a worker.
+    await runSchemaStep('Email outbox table', async () => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS email_outbox (
+          id SERIAL PRIMARY KEY,
+          template VARCHAR(50) NOT NULL,
+          locale VARCHAR(5) NOT NULL,
+          to_address TEXT NOT NULL,
+          bcc_address TEXT,
+          subject TEXT NOT NULL,
+          html TEXT NOT NULL,
+          text TEXT NOT NULL,
+          attachments JSONB NOT NULL DEFAULT '[]',
+          status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'dead')),
+          attempts INTEGER NOT NULL DEFAULT 0,
+          last_error TEXT,
+          next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          locked_at TIMESTAMP,
+          sent_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS email_outbox_pending_idx ON email_outbox (next_attempt_at) WHERE status = 'pending'
+      `);
+      console.log('Email outbox table created or already exists');
+    });
+
+    // Create auth token table if not exists, for account invitations and password
+    // resets. Only a SHA-256 hash of each token is stored.
+    await runSchemaStep('Auth tokens table', async () => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS auth_tokens (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('invite', 'password_reset')),
+          token_hash CHAR(64) UNIQUE NOT NULL,
+          expires_at TIMESTAMP NOT NULL,
+          used_at TIMESTAMP,
+          revoked_at TIMESTAMP,
+          created_by VARCHAR(128),
+          requested_ip VARCHAR(64),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      // Accounts that existed before invitations count as activated; invited
+      // users are activated when they first set their password
+      await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS activated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP');
+      await client.query('ALTER TABLE users ALTER COLUMN activated_at DROP DEFAULT');
+      console.log('Auth tokens table created or already exists');
+    });
+
+    // Threading headers (messageId, inReplyTo, references) for queued emails
+    await runSchemaStep('Email outbox mail_options column', async () => {
+      await client.query("ALTER TABLE email_outbox ADD COLUMN IF NOT EXISTS mail_options JSONB NOT NULL DEFAULT '{}'");
+      console.log('Email outbox mail_options column created or already exists');
+    });
+
+    // Create inquiries table if not exists - the inbox for contact and about page
+    // submissions. Rows from the old per-form tables are copied in once.
+    await runSchemaStep('Inquiries tables', async () => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS inquiries (
+          id SERIAL PRIMARY KEY,
+          source VARCHAR(20) NOT NULL CHECK (source IN ('contact', 'about')),
+          legacy_id INTEGER,
+          name VARCHAR(100) NOT NULL,
+          email VARCHAR(100) NOT NULL,
+          phone VARCHAR(20),
+          subject VARCHAR(200) NOT NULL,
+          message TEXT NOT NULL,
+          preferred_language VARCHAR(5) NOT NULL DEFAULT 'en',
+          status VARCHAR(20) NOT NULL DEFAULT 'new' CHECK (status IN ('new', 'in_progress', 'replied', 'closed')),
+          assigned_to INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          tags TEXT[] NOT NULL DEFAULT '{}',
+          submission_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (source, legacy_id)
+        )
+      `);
+      await client.query(`
+        INSERT INTO inquiries (source, legacy_id, name, email, phone, subject, message, submission_date)
+        SELECT 'contact', id, name, email, phone, subject, message, submission_date FROM contact_messages
+        ON CONFLICT (source, legacy_id) DO NOTHING
+      `);
+      await client.query(`
+        INSERT INTO inquiries (source, legacy_id, name, email, subject, message, submission_date)
+        SELECT 'about', id, name, email, subject, message, submission_date FROM about_inquiries
+        ON CONFLICT (source, legacy_id) DO NOTHING
+      `);
+      // Staff replies (emailed to the sender) and internal notes, in conversation order
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS inquiry_messages (
+          id SERIAL PRIMARY KEY,
+          inquiry_id INTEGER NOT NULL REFERENCES inquiries(id) ON DELETE CASCADE,
+          kind VARCHAR(10) NOT NULL CHECK (kind IN ('reply', 'note')),
+          author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          body TEXT NOT NULL,
+          email_outbox_id INTEGER REFERENCES email_outbox(id) ON DELETE SET NULL,
+          message_id VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('Inquiries tables created or already exist');
+    });
+
+    // Spam screening: quarantined inquiries are kept but trigger no notification
+    await runSchemaStep('Inquiry spam columns', async () => {
+      await client.query('ALTER TABLE inquiries ADD COLUMN IF NOT EXISTS ip_address VARCHAR(64)');
+      await client.query('ALTER TABLE inquiries ADD COLUMN IF NOT EXISTS content_hash CHAR(64)');
+      await client.query('ALTER TABLE inquiries ADD COLUMN IF NOT EXISTS is_quarantined BOOLEAN NOT NULL DEFAULT FALSE');
+      await client.query("ALTER TABLE inquiries ADD COLUMN IF NOT EXISTS spam_reasons TEXT[] NOT NULL DEFAULT '{}'");
+      await client.query('CREATE INDEX IF NOT EXISTS inquiries_content_hash_idx ON inquiries (content_hash, submission_date)');
+      console.log('Inquiry spam columns created or already exist');
+    });
 
   } catch (err) {
+    // Routes assume the whole schema exists, so do not serve with part of it
     console.error('Error initializing database tables:', err);
+    process.exit(1);
   } finally {
     client.release();
   }
@@ -219,88 +1368,2468 @@ const transporter = nodemailer.createTransport({
   }
 });
 
-// Excel file paths
-const excelFilePath = path.join(__dirname, 'data', 'students.xlsx');
-const contactExcelPath = path.join(__dirname, 'data', 'contact_messages.xlsx');
-const aboutExcelPath = path.join(__dirname, 'data', 'about_inquiries.xlsx');
+// Email templates live in templates/emails: one .hbs body per email, wrapped in
+// layout.hbs. Handlebars escapes every {{value}}, so user input cannot inject
+// markup. Subjects, titles and all copy come from locales/<locale>.json; those
+// strings are Handlebars templates too, rendered with the email's data.
+const EMAIL_TEMPLATE_DIR = path.join(__dirname, 'templates', 'emails');
+const EMAIL_LOCALES = ['en', 'hi'];
+const DEFAULT_EMAIL_LOCALE = 'en';
+const ADMIN_EMAIL_LOCALE = EMAIL_LOCALES.includes(process.env.ADMIN_EMAIL_LOCALE)
+  ? process.env.ADMIN_EMAIL_LOCALE
+  : DEFAULT_EMAIL_LOCALE;
+const EMAIL_DATE_LOCALES = { en: 'en-IN', hi: 'hi-IN' };
+
+const emailHandlebars = Handlebars.create();
+const emailStrings = Object.fromEntries(EMAIL_LOCALES.map(locale => [
+  locale,
+  JSON.parse(fs.readFileSync(path.join(EMAIL_TEMPLATE_DIR, 'locales', `${locale}.json`), 'utf8'))
+]));
+const emailTemplateCache = new Map();
+
+for (const file of fs.readdirSync(path.join(EMAIL_TEMPLATE_DIR, 'partials'))) {
+  emailHandlebars.registerPartial(
+    path.basename(file, '.hbs'),
+    fs.readFileSync(path.join(EMAIL_TEMPLATE_DIR, 'partials', file), 'utf8')
+  );
+}
+
+// Names of the available email templates, e.g. "payment-confirmation"
+function listEmailTemplates() {
+  return fs.readdirSync(EMAIL_TEMPLATE_DIR)
+    .filter(file => file.endsWith('.hbs') && file !== 'layout.hbs')
+    .map(file => path.basename(file, '.hbs'))
+    .sort();
+}
 
-// Ensure data directory exists
-if (!fs.existsSync(path.join(__dirname, 'data'))) {
-  fs.mkdirSync(path.join(__dirname, 'data'));
+// Compile a template file once and reuse it
+function getEmailTemplate(name) {
+  if (!emailTemplateCache.has(name)) {
+    const source = fs.readFileSync(path.join(EMAIL_TEMPLATE_DIR, `${name}.hbs`), 'utf8');
+    emailTemplateCache.set(name, emailHandlebars.compile(source));
+  }
+  return emailTemplateCache.get(name);
 }
 
-// Initialize Excel files if not exist
-const initExcelFiles = () => {
-  // Students Excel file
-  if (!fs.existsSync(excelFilePath)) {
-    const workbook = xlsx.utils.book_new();
-    const worksheet = xlsx.utils.json_to_sheet([]);
-    xlsx.utils.book_append_sheet(workbook, worksheet, 'Students');
-    xlsx.writeFile(workbook, excelFilePath);
-    console.log('Students Excel file created');
+// Compile a localized string such as "refund.intro", falling back to English
+// when the locale has no translation for it
+function getEmailString(locale, key, options = {}) {
+  const cacheKey = `${locale}:${key}:${options.noEscape ? 'raw' : 'html'}`;
+
+  if (!emailTemplateCache.has(cacheKey)) {
+    const lookup = strings => key.split('.').reduce((value, part) => (value ? value[part] : undefined), strings);
+    const source = lookup(emailStrings[locale]) ?? lookup(emailStrings[DEFAULT_EMAIL_LOCALE]);
+
+    if (typeof source !== 'string') {
+      throw new Error(`Missing email string: ${key}`);
+    }
+    emailTemplateCache.set(cacheKey, emailHandlebars.compile(source, options));
   }
+  return emailTemplateCache.get(cacheKey);
+}
+
+// {{t "key" name=value}} - values passed in are escaped, the string's own markup is kept
+emailHandlebars.registerHelper('t', function (key, options) {
+  const html = getEmailString(options.data.root.locale, key)({ ...this, ...options.hash }, { data: options.data });
+  return new Handlebars.SafeString(html);
+});
+
+// {{money amount}} - rupee amount with two decimals
+emailHandlebars.registerHelper('money', value => `₹${(parseFloat(value) || 0).toFixed(2)}`);
+
+// {{date value}} / {{datetime value}} - formatted for the email's locale in IST
+emailHandlebars.registerHelper('date', (value, options) =>
+  new Date(value).toLocaleDateString(EMAIL_DATE_LOCALES[options.data.root.locale], { timeZone: 'Asia/Kolkata' }));
+emailHandlebars.registerHelper('datetime', (value, options) =>
+  new Date(value).toLocaleString(EMAIL_DATE_LOCALES[options.data.root.locale], { timeZone: 'Asia/Kolkata' }));
+
+// {{multiline text}} - escaped text with its line breaks kept
+emailHandlebars.registerHelper('multiline', value =>
+  new Handlebars.SafeString(Handlebars.escapeExpression(value ?? '').replace(/\r?\n/g, '<br>')));
+
+// Render an email template to { subject, html, text }
+function renderEmail(name, data, locale) {
+  const context = { ...data, locale: EMAIL_LOCALES.includes(locale) ? locale : DEFAULT_EMAIL_LOCALE };
+
+  const html = getEmailTemplate('layout')({
+    title: new Handlebars.SafeString(getEmailString(context.locale, `${name}.title`)(context)),
+    body: getEmailTemplate(name)(context)
+  });
+
+  return {
+    subject: getEmailString(context.locale, `${name}.subject`, { noEscape: true })(context).replace(/\s+/g, ' ').trim(),
+    html,
+    text: convertHtmlToText(html, { wordwrap: 100 })
+  };
+}
 
-  // Contact messages Excel file
-  if (!fs.existsSync(contactExcelPath)) {
-    const workbook = xlsx.utils.book_new();
-    const worksheet = xlsx.utils.json_to_sheet([]);
-    xlsx.utils.book_append_sheet(workbook, worksheet, 'Contact Messages');
-    xlsx.writeFile(workbook, contactExcelPath);
-    console.log('Contact messages Excel file created');
+// Render an email template and add it to the outbox. Pass the transaction's
+// client so the email is only sent if the change it reports is committed.
+// Attachment buffers are stored base64-encoded; mailOptions carries threading
+// headers (messageId, inReplyTo, references) through to nodemailer.
+async function queueEmail(db, name, data, { to, bcc, locale, attachments = [], mailOptions = {} } = {}) {
+  const resolvedLocale = EMAIL_LOCALES.includes(locale) ? locale : DEFAULT_EMAIL_LOCALE;
+  const { subject, html, text } = renderEmail(name, data, resolvedLocale);
+
+  const result = await db.query(
+    `INSERT INTO email_outbox (template, locale, to_address, bcc_address, subject, html, text, attachments, mail_options)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING id`,
+    [
+      name, resolvedLocale, to, bcc || null, subject, html, text,
+      JSON.stringify(attachments.map(attachment => ({
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        content: Buffer.from(attachment.content).toString('base64')
+      }))),
+      JSON.stringify(mailOptions)
+    ]
+  );
+
+  console.log(`${name} email queued:`, result.rows[0].id);
+  return result.rows[0];
+}
+
+// Send one outbox row through the transporter
+function deliverEmail(email) {
+  return new Promise((resolve, reject) => {
+    transporter.sendMail({
+      ...email.mail_options,
+      from: process.env.EMAIL_USER,
+      to: email.to_address,
+      bcc: email.bcc_address || undefined,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+      attachments: email.attachments.map(attachment => ({ ...attachment, encoding: 'base64' }))
+    }, (error, info) => (error ? reject(error) : resolve(info)));
+  });
+}
+
+// Firebase Admin - verifies the ID tokens our frontend already issues.
+// A service account is optional; verifying ID tokens only needs the project id.
+const firebaseApp = initializeApp(
+  process.env.FIREBASE_SERVICE_ACCOUNT
+    ? { credential: cert(JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT)) }
+    : { projectId: process.env.FIREBASE_PROJECT_ID || process.env.VITE_FIREBASE_PROJECT_ID }
+);
+const firebaseAuth = getAuth(firebaseApp);
+
+// Resolve the caller from a "Bearer <Firebase ID token>" header against the users table.
+// Returns the user row, or null when there is no valid token for a registered user.
+async function resolveRequestUser(req) {
+  const match = (req.headers.authorization || '').match(/^Bearer (.+)$/);
+  if (!match) {
+    return null;
   }
 
-  // About inquiries Excel file
-  if (!fs.existsSync(aboutExcelPath)) {
-    const workbook = xlsx.utils.book_new();
-    const worksheet = xlsx.utils.json_to_sheet([]);
-    xlsx.utils.book_append_sheet(workbook, worksheet, 'About Inquiries');
-    xlsx.writeFile(workbook, aboutExcelPath);
-    console.log('About inquiries Excel file created');
+  let decodedToken;
+  try {
+    decodedToken = await firebaseAuth.verifyIdToken(match[1]);
+  } catch (err) {
+    console.error('Error verifying Firebase ID token:', err.code || err.message);
+    return null;
   }
-};
-initExcelFiles();
 
-// Handle form submission and create Razorpay order
-// Handle form submission and create Razorpay order
-app.post('/create-order', async (req, res) => {
+  const result = await pool.query('SELECT * FROM users WHERE uid = $1', [decodedToken.uid]);
+  return result.rows[0] || null;
+}
+
+// Require a signed-in user - responds 401 otherwise
+async function authenticate(req, res, next) {
   try {
-    const { name, email, phone, course, amount } = req.body;
+    const user = await resolveRequestUser(req);
 
-    // Improved validation
-    if (!name || !email || !phone || !course || !amount) {
-      return res.status(400).json({ error: 'All fields are required' });
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
     }
 
-    // Parse amount properly - ensure it's a valid number
-    const parsedAmount = parseFloat(amount);
-    if (isNaN(parsedAmount) || parsedAmount <= 0) {
-      return res.status(400).json({ error: 'Invalid amount value' });
+    req.user = user;
+    next();
+  } catch (err) {
+    console.error('Error authenticating request:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+}
+
+// Attach the caller when a token is present, but let anonymous requests through
+async function optionalAuthenticate(req, res, next) {
+  try {
+    req.user = await resolveRequestUser(req);
+    next();
+  } catch (err) {
+    console.error('Error authenticating request:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+}
+
+// Require one of the given roles (admin, teacher, student) - responds 401 or 403
+function requireRole(...roles) {
+  return [
+    authenticate,
+    (req, res, next) => {
+      if (!roles.includes(req.user.role)) {
+        return res.status(403).json({ error: 'You do not have permission to perform this action' });
+      }
+      next();
     }
+  ];
+}
 
-    // Create Razorpay order with proper amount conversion to paisa
-    const options = {
-      amount: Math.round(parsedAmount * 100), // amount in paisa with proper rounding
-      currency: 'INR',
-      receipt: `receipt_${Date.now()}`,
-      payment_capture: 1
-    };
+// Client IP address, as resolved by Express from the trusted proxies
+function getClientIp(req) {
+  return (req.ip || '').slice(0, 64);
+}
 
-    // Use async/await for better error handling
-    const order = await razorpay.orders.create(options);
+// Fixed-window rate limiter middleware. key(req) names the bucket to count the
+// request against, or returns null to skip it. Counts are kept in memory, so
+// they are per server instance and reset on restart.
+function createRateLimiter({ windowMs, max, key, message }) {
+  const hits = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [bucket, entry] of hits) {
+      if (entry.resetAt <= now) {
+        hits.delete(bucket);
+      }
+    }
+  }, windowMs);
 
-    // Return order details to client WITH proper Razorpay configuration
-    res.json({
-      order_id: order.id,
-      key_id: process.env.RAZORPAY_KEY_ID,
-      amount: options.amount,
-      currency: options.currency,
-      name: 'ASTA Education Academy',
-      description: `Course Registration for ${course}`,
-      student_info: {
-        name,
-        email,
+  return (req, res, next) => {
+    const bucket = key(req);
+    if (!bucket) {
+      return next();
+    }
+
+    const now = Date.now();
+    let entry = hits.get(bucket);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(bucket, entry);
+    }
+
+    entry.count++;
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ error: message || 'Too many requests, please try again later' });
+    }
+    next();
+  };
+}
+
+// CAPTCHA providers. Each verifies the token produced by the browser widget and
+// resolves to true or false. CAPTCHA_PROVIDER picks one; when unset, CAPTCHA
+// checks are off. hCaptcha and Turnstile share the same siteverify API.
+function createSiteverifyProvider(url) {
+  return {
+    async verify(token, ip) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ secret: process.env.CAPTCHA_SECRET || '', response: token, remoteip: ip })
+      });
+
+      if (!response.ok) {
+        throw new Error(`CAPTCHA verification request failed: HTTP ${response.status}`);
+      }
+
+      const result = await response.json();
+      return result.success === true;
+    }
+  };
+}
+
+const CAPTCHA_PROVIDER_FACTORIES = {
+  hcaptcha: () => createSiteverifyProvider('https://api.hcaptcha.com/siteverify'),
+  turnstile: () => createSiteverifyProvider('https://challenges.cloudflare.com/turnstile/v0/siteverify'),
+  // For local development: accepts CAPTCHA_STUB_TOKEN (default "pass") and nothing else
+  stub: () => ({
+    async verify(token) {
+      return token === (process.env.CAPTCHA_STUB_TOKEN || 'pass');
+    }
+  })
+};
+
+const CAPTCHA_PROVIDER = process.env.CAPTCHA_PROVIDER || null;
+
+if (CAPTCHA_PROVIDER && !CAPTCHA_PROVIDER_FACTORIES[CAPTCHA_PROVIDER]) {
+  throw new Error(`Unknown CAPTCHA_PROVIDER "${CAPTCHA_PROVIDER}"`);
+}
+
+const captchaProvider = CAPTCHA_PROVIDER ? CAPTCHA_PROVIDER_FACTORIES[CAPTCHA_PROVIDER]() : null;
+
+// Require a valid CAPTCHA token in the captcha_token field, when a provider is configured
+async function verifyCaptcha(req, res, next) {
+  if (!captchaProvider) {
+    return next();
+  }
+
+  const token = req.body.captcha_token;
+  if (!token) {
+    return res.status(400).json({ error: 'Please complete the CAPTCHA' });
+  }
+
+  try {
+    if (!(await captchaProvider.verify(String(token), getClientIp(req)))) {
+      return res.status(400).json({ error: 'CAPTCHA verification failed, please try again' });
+    }
+    next();
+  } catch (err) {
+    console.error('Error verifying CAPTCHA:', err);
+    res.status(503).json({ error: 'Could not verify the CAPTCHA, please try again' });
+  }
+}
+
+// Hidden form field that people never see but bots tend to fill in
+const HONEYPOT_FIELD = 'website';
+
+// Send a worksheet to the client as an xlsx download
+function sendWorksheet(res, worksheet, sheetName, filename) {
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, worksheet, sheetName);
+
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+}
+
+// Course catalog helpers
+const COURSE_SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Validate course fields from an admin request. With partial = true only the
+// fields present in the body are checked (used for updates).
+function validateCourseInput(body, partial = false) {
+  const errors = [];
+  const values = {};
+
+  if (body.slug !== undefined || !partial) {
+    if (!body.slug || !COURSE_SLUG_PATTERN.test(body.slug)) {
+      errors.push('slug must contain only lowercase letters, numbers and hyphens');
+    } else {
+      values.slug = body.slug;
+    }
+  }
+
+  if (body.title !== undefined || !partial) {
+    if (!body.title || String(body.title).trim().length === 0 || String(body.title).length > 100) {
+      errors.push('title is required and must be at most 100 characters');
+    } else {
+      values.title = String(body.title).trim();
+    }
+  }
+
+  if (body.description !== undefined) {
+    values.description = body.description || '';
+  }
+
+  if (body.price !== undefined || !partial) {
+    const price = parseFloat(body.price);
+    if (isNaN(price) || price <= 0) {
+      errors.push('price must be a positive number');
+    } else {
+      values.price = price;
+    }
+  }
+
+  if (body.currency !== undefined) {
+    if (!/^[A-Z]{3}$/.test(body.currency)) {
+      errors.push('currency must be a 3-letter ISO code');
+    } else {
+      values.currency = body.currency;
+    }
+  }
+
+  if (body.is_active !== undefined) {
+    values.is_active = Boolean(body.is_active);
+  }
+
+  if (body.capacity !== undefined) {
+    if (body.capacity === null || body.capacity === '') {
+      values.capacity = null;
+    } else {
+      const capacity = parseInt(body.capacity, 10);
+      if (isNaN(capacity) || capacity <= 0) {
+        errors.push('capacity must be a positive integer or null');
+      } else {
+        values.capacity = capacity;
+      }
+    }
+  }
+
+  return { errors, values };
+}
+
+// Check whether a course has reached its capacity of enrolled students. At
+// checkout, call it with the course row locked so two buyers cannot both take
+// the last seat.
+async function isCourseFull(db, course) {
+  if (!course.capacity) {
+    return false;
+  }
+
+  const result = await db.query(
+    "SELECT COUNT(*) FROM students WHERE course_id = $1 AND payment_status IN ('successful', 'partially_refunded')",
+    [course.id]
+  );
+
+  return parseInt(result.rows[0].count, 10) >= course.capacity;
+}
+
+// List courses - public callers only see active ones
+app.get('/api/courses', optionalAuthenticate, async (req, res) => {
+  // Only admins can see courses that are not on sale
+  const includeInactive = req.query.include_inactive === 'true' && req.user && req.user.role === 'admin';
+
+  try {
+    const result = await pool.query(
+      `SELECT c.*,
+         (SELECT COUNT(*) FROM students s
+          WHERE s.course_id = c.id AND s.payment_status IN ('successful', 'partially_refunded'))::int AS enrolled
+       FROM courses c
+       ${includeInactive ? '' : 'WHERE c.is_active = TRUE'}
+       ORDER BY c.title`
+    );
+
+    res.json(result.rows.map(course => ({
+      ...course,
+      seats_left: course.capacity ? Math.max(course.capacity - course.enrolled, 0) : null
+    })));
+  } catch (err) {
+    console.error('Error fetching courses:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Get a single course by id - public callers only see active ones
+app.get('/api/courses/:id', optionalAuthenticate, async (req, res) => {
+  const includeInactive = req.user && req.user.role === 'admin';
+
+  try {
+    const result = await pool.query(
+      `SELECT * FROM courses WHERE id = $1 ${includeInactive ? '' : 'AND is_active = TRUE'}`,
+      [parseInt(req.params.id, 10) || 0]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error fetching course:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create a course
+app.post('/api/courses', requireRole('admin'), async (req, res) => {
+  const { errors, values } = validateCourseInput(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(', ') });
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO courses (slug, title, description, price, currency, is_active, capacity)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        values.slug,
+        values.title,
+        values.description || '',
+        values.price,
+        values.currency || 'INR',
+        values.is_active !== undefined ? values.is_active : true,
+        values.capacity || null
+      ]
+    );
+
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'A course with this slug already exists' });
+    }
+    console.error('Error creating course:', err);
+    res.status(500).json({ error: 'Error creating course' });
+  }
+});
+
+// Update a course
+app.put('/api/courses/:id', requireRole('admin'), async (req, res) => {
+  const { errors, values } = validateCourseInput(req.body, true);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(', ') });
+  }
+
+  const fields = Object.keys(values);
+  if (fields.length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+
+  try {
+    const result = await pool.query(
+      `UPDATE courses SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [parseInt(req.params.id, 10) || 0, ...fields.map(field => values[field])]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'A course with this slug already exists' });
+    }
+    console.error('Error updating course:', err);
+    res.status(500).json({ error: 'Error updating course' });
+  }
+});
+
+// Delete a course - courses with students or orders must be deactivated instead
+app.delete('/api/courses/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM courses WHERE id = $1 RETURNING id',
+      [parseInt(req.params.id, 10) || 0]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    res.json({ success: true, message: 'Course deleted successfully' });
+  } catch (err) {
+    if (err.code === '23503') {
+      return res.status(409).json({ error: 'Course has enrollments; set is_active to false instead' });
+    }
+    console.error('Error deleting course:', err);
+    res.status(500).json({ error: 'Error deleting course' });
+  }
+});
+
+// Coupon helpers
+const COUPON_CODE_PATTERN = /^[A-Z0-9_-]{3,50}$/;
+
+// Validate coupon fields from an admin request. With partial = true only the
+// fields present in the body are checked (used for updates).
+function validateCouponInput(body, partial = false) {
+  const errors = [];
+  const values = {};
+
+  if (body.code !== undefined || !partial) {
+    const code = String(body.code || '').trim().toUpperCase();
+    if (!COUPON_CODE_PATTERN.test(code)) {
+      errors.push('code must be 3-50 letters, numbers, hyphens or underscores');
+    } else {
+      values.code = code;
+    }
+  }
+
+  if (body.description !== undefined) {
+    values.description = body.description || '';
+  }
+
+  if (body.discount_type !== undefined || !partial) {
+    if (!['percentage', 'flat'].includes(body.discount_type)) {
+      errors.push("discount_type must be 'percentage' or 'flat'");
+    } else {
+      values.discount_type = body.discount_type;
+    }
+  }
+
+  if (body.discount_value !== undefined || !partial) {
+    const value = parseFloat(body.discount_value);
+    if (isNaN(value) || value <= 0) {
+      errors.push('discount_value must be a positive number');
+    } else {
+      values.discount_value = value;
+    }
+  }
+
+  if (body.max_discount !== undefined) {
+    const value = body.max_discount === null || body.max_discount === '' ? null : parseFloat(body.max_discount);
+    if (value !== null && (isNaN(value) || value <= 0)) {
+      errors.push('max_discount must be a positive number or null');
+    } else {
+      values.max_discount = value;
+    }
+  }
+
+  for (const field of ['usage_limit', 'per_email_limit']) {
+    if (body[field] !== undefined) {
+      const value = body[field] === null || body[field] === '' ? null : parseInt(body[field], 10);
+      if (value !== null && (isNaN(value) || value <= 0)) {
+        errors.push(`${field} must be a positive integer or null`);
+      } else {
+        values[field] = value;
+      }
+    }
+  }
+
+  for (const field of ['valid_from', 'valid_until']) {
+    if (body[field] !== undefined) {
+      const value = body[field] ? new Date(body[field]) : null;
+      if (value !== null && isNaN(value.getTime())) {
+        errors.push(`${field} must be a valid date`);
+      } else {
+        values[field] = value;
+      }
+    }
+  }
+
+  if (body.is_active !== undefined) {
+    values.is_active = Boolean(body.is_active);
+  }
+
+  if (body.course_ids !== undefined) {
+    const courseIds = Array.isArray(body.course_ids) ? body.course_ids.map(id => parseInt(id, 10)) : null;
+    if (!courseIds || courseIds.some(id => isNaN(id))) {
+      errors.push('course_ids must be an array of course ids');
+    } else {
+      values.course_ids = courseIds;
+    }
+  }
+
+  if (!partial) {
+    errors.push(...couponRuleErrors(values));
+  }
+
+  return { errors, values };
+}
+
+// Rules that involve more than one field. Updates check them against the stored
+// coupon merged with the changes, since a partial body may carry only one side.
+function couponRuleErrors(coupon) {
+  const errors = [];
+
+  if (coupon.discount_type === 'percentage' && parseFloat(coupon.discount_value) > 100) {
+    errors.push('percentage discount_value cannot exceed 100');
+  }
+
+  if (coupon.valid_from && coupon.valid_until && new Date(coupon.valid_from) >= new Date(coupon.valid_until)) {
+    errors.push('valid_from must be before valid_until');
+  }
+
+  return errors;
+}
+
+// Check a coupon code against a course and buyer, and work out the discount.
+// Returns { valid: false, error } or { valid: true, coupon, discountAmount, finalAmount }.
+// With forUpdate the coupon row stays locked until the transaction ends, so
+// checkouts using the same coupon take turns and cannot exceed its usage limits.
+async function evaluateCoupon(db, code, course, email, { forUpdate = false } = {}) {
+  const couponResult = await db.query(
+    `SELECT * FROM coupons WHERE code = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [String(code).trim().toUpperCase()]
+  );
+
+  const coupon = couponResult.rows[0];
+  const now = new Date();
+
+  if (!coupon || !coupon.is_active) {
+    return { valid: false, error: 'Invalid coupon code' };
+  }
+
+  if ((coupon.valid_from && now < coupon.valid_from) || (coupon.valid_until && now > coupon.valid_until)) {
+    return { valid: false, error: 'This coupon is not valid at this time' };
+  }
+
+  const restrictionResult = await db.query(
+    'SELECT course_id FROM coupon_courses WHERE coupon_id = $1',
+    [coupon.id]
+  );
+  const courseIds = restrictionResult.rows.map(row => row.course_id);
+
+  if (courseIds.length > 0 && !courseIds.includes(course.id)) {
+    return { valid: false, error: 'This coupon does not apply to the selected course' };
+  }
+
+  // Orders that are paid or still open hold a use of the coupon
+  const usageResult = await db.query(
+    `SELECT
+       COUNT(*)::int AS total,
+       COUNT(*) FILTER (WHERE LOWER(email) = LOWER($2))::int AS by_email
+     FROM orders
+     WHERE coupon_id = $1 AND status IN ('created', 'attempted', 'paid')`,
+    [coupon.id, email || '']
+  );
+  const usage = usageResult.rows[0];
+
+  if (coupon.usage_limit && usage.total >= coupon.usage_limit) {
+    return { valid: false, error: 'This coupon has reached its usage limit' };
+  }
+
+  if (coupon.per_email_limit && email && usage.by_email >= coupon.per_email_limit) {
+    return { valid: false, error: 'You have already used this coupon' };
+  }
+
+  const price = parseFloat(course.price);
+  let discountAmount = coupon.discount_type === 'percentage'
+    ? price * parseFloat(coupon.discount_value) / 100
+    : parseFloat(coupon.discount_value);
+
+  if (coupon.max_discount) {
+    discountAmount = Math.min(discountAmount, parseFloat(coupon.max_discount));
+  }
+
+  // Razorpay needs at least ₹1 to create an order
+  discountAmount = Math.round(Math.min(discountAmount, price - 1) * 100) / 100;
+
+  return {
+    valid: true,
+    coupon,
+    discountAmount,
+    finalAmount: Math.round((price - discountAmount) * 100) / 100
+  };
+}
+
+// Replace the course restrictions of a coupon
+async function setCouponCourses(client, couponId, courseIds) {
+  await client.query('DELETE FROM coupon_courses WHERE coupon_id = $1', [couponId]);
+
+  for (const courseId of courseIds) {
+    await client.query(
+      'INSERT INTO coupon_courses (coupon_id, course_id) VALUES ($1, $2)',
+      [couponId, courseId]
+    );
+  }
+}
+
+// Preview a coupon against a course before checkout
+app.post('/api/coupons/validate', async (req, res) => {
+  const { code, course_id, email } = req.body;
+
+  if (!code || !course_id) {
+    return res.status(400).json({ valid: false, error: 'code and course_id are required' });
+  }
+
+  try {
+    const courseResult = await pool.query(
+      'SELECT * FROM courses WHERE id = $1 AND is_active = TRUE',
+      [parseInt(course_id, 10) || 0]
+    );
+
+    if (courseResult.rows.length === 0) {
+      return res.status(404).json({ valid: false, error: 'Course not found' });
+    }
+
+    const course = courseResult.rows[0];
+    const evaluation = await evaluateCoupon(pool, code, course, email);
+
+    if (!evaluation.valid) {
+      return res.status(400).json({ valid: false, error: evaluation.error });
+    }
+
+    res.json({
+      valid: true,
+      code: evaluation.coupon.code,
+      original_amount: parseFloat(course.price),
+      discount_amount: evaluation.discountAmount,
+      final_amount: evaluation.finalAmount,
+      currency: course.currency
+    });
+  } catch (err) {
+    console.error('Error validating coupon:', err);
+    res.status(500).json({ valid: false, error: 'Error validating coupon' });
+  }
+});
+
+// List coupons with their course restrictions and usage
+app.get('/api/coupons', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT c.*,
+        COALESCE(ARRAY_AGG(cc.course_id) FILTER (WHERE cc.course_id IS NOT NULL), '{}') AS course_ids,
+        (SELECT COUNT(*) FROM orders o WHERE o.coupon_id = c.id AND o.status = 'paid')::int AS times_used
+      FROM coupons c
+      LEFT JOIN coupon_courses cc ON cc.coupon_id = c.id
+      GROUP BY c.id
+      ORDER BY c.created_at DESC
+    `);
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching coupons:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create a coupon
+app.post('/api/coupons', requireRole('admin'), async (req, res) => {
+  const { errors, values } = validateCouponInput(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(', ') });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO coupons
+         (code, description, discount_type, discount_value, max_discount, valid_from, valid_until,
+          usage_limit, per_email_limit, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        values.code,
+        values.description || '',
+        values.discount_type,
+        values.discount_value,
+        values.max_discount || null,
+        values.valid_from || null,
+        values.valid_until || null,
+        values.usage_limit || null,
+        values.per_email_limit || null,
+        values.is_active !== undefined ? values.is_active : true
+      ]
+    );
+
+    const coupon = result.rows[0];
+    await setCouponCourses(client, coupon.id, values.course_ids || []);
+
+    await client.query('COMMIT');
+
+    res.status(201).json({ ...coupon, course_ids: values.course_ids || [] });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'A coupon with this code already exists' });
+    }
+    if (err.code === '23503') {
+      return res.status(400).json({ error: 'One or more course_ids do not exist' });
+    }
+    console.error('Error creating coupon:', err);
+    res.status(500).json({ error: 'Error creating coupon' });
+  } finally {
+    client.release();
+  }
+});
+
+// Update a coupon
+app.put('/api/coupons/:id', requireRole('admin'), async (req, res) => {
+  const { errors, values } = validateCouponInput(req.body, true);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(', ') });
+  }
+
+  const { course_ids: courseIds, ...fields } = values;
+  const columns = Object.keys(fields);
+
+  if (columns.length === 0 && courseIds === undefined) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  const couponId = parseInt(req.params.id, 10) || 0;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existingResult = await client.query('SELECT * FROM coupons WHERE id = $1 FOR UPDATE', [couponId]);
+
+    if (existingResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    const ruleErrors = couponRuleErrors({ ...existingResult.rows[0], ...fields });
+
+    if (ruleErrors.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: ruleErrors.join(', ') });
+    }
+
+    const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+    const result = await client.query(
+      `UPDATE coupons SET ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+       WHERE id = $1
+       RETURNING *`,
+      [couponId, ...columns.map(column => fields[column])]
+    );
+
+    if (courseIds !== undefined) {
+      await setCouponCourses(client, couponId, courseIds);
+    }
+
+    await client.query('COMMIT');
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'A coupon with this code already exists' });
+    }
+    if (err.code === '23503') {
+      return res.status(400).json({ error: 'One or more course_ids do not exist' });
+    }
+    console.error('Error updating coupon:', err);
+    res.status(500).json({ error: 'Error updating coupon' });
+  } finally {
+    client.release();
+  }
+});
+
+// Delete a coupon - coupons already used on orders must be deactivated instead
+app.delete('/api/coupons/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM coupons WHERE id = $1 RETURNING id',
+      [parseInt(req.params.id, 10) || 0]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    res.json({ success: true, message: 'Coupon deleted successfully' });
+  } catch (err) {
+    if (err.code === '23503') {
+      return res.status(409).json({ error: 'Coupon has been used; set is_active to false instead' });
+    }
+    console.error('Error deleting coupon:', err);
+    res.status(500).json({ error: 'Error deleting coupon' });
+  }
+});
+
+// Payment plan helpers
+const MIN_INSTALLMENTS = 2;
+const MAX_INSTALLMENTS = 4;
+
+// Load an active payment plan with its installments, optionally checking the course
+async function getPaymentPlan(planId, courseId) {
+  const planResult = await pool.query(
+    'SELECT * FROM payment_plans WHERE id = $1 AND is_active = TRUE',
+    [planId]
+  );
+  const plan = planResult.rows[0];
+
+  if (!plan || (courseId && plan.course_id !== courseId)) {
+    return null;
+  }
+
+  const installmentsResult = await pool.query(
+    'SELECT * FROM payment_plan_installments WHERE plan_id = $1 ORDER BY installment_number',
+    [plan.id]
+  );
+
+  return { ...plan, installments: installmentsResult.rows };
+}
+
+// Create an enrollment and its installment schedule for a plan.
+// Returns the installment rows, first installment first.
+async function createInstallmentSchedule(client, plan, course, buyer) {
+  const enrollmentResult = await client.query(
+    `INSERT INTO installment_enrollments (plan_id, course_id, name, email, phone, preferred_language)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [plan.id, course.id, buyer.name, buyer.email, buyer.phone, buyer.language || DEFAULT_EMAIL_LOCALE]
+  );
+  const enrollmentId = enrollmentResult.rows[0].id;
+
+  const schedule = [];
+  for (const installment of plan.installments) {
+    const result = await client.query(
+      `INSERT INTO installment_payments (enrollment_id, installment_number, amount, due_date, pay_token)
+       VALUES ($1, $2, $3, CURRENT_DATE + $4::int, $5)
+       RETURNING *`,
+      [
+        enrollmentId,
+        installment.installment_number,
+        installment.amount,
+        installment.due_after_days,
+        crypto.randomBytes(24).toString('hex')
+      ]
+    );
+    schedule.push(result.rows[0]);
+  }
+
+  return schedule;
+}
+
+// List the active payment plans for a course
+app.get('/api/courses/:id/payment-plans', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT p.*,
+         COALESCE(JSON_AGG(JSON_BUILD_OBJECT(
+           'installment_number', i.installment_number,
+           'amount', i.amount,
+           'due_after_days', i.due_after_days
+         ) ORDER BY i.installment_number), '[]') AS installments
+       FROM payment_plans p
+       JOIN payment_plan_installments i ON i.plan_id = p.id
+       WHERE p.course_id = $1 AND p.is_active = TRUE
+       GROUP BY p.id
+       ORDER BY p.id`,
+      [parseInt(req.params.id, 10) || 0]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching payment plans:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create a payment plan for a course
+app.post('/api/courses/:id/payment-plans', requireRole('admin'), async (req, res) => {
+  const courseId = parseInt(req.params.id, 10) || 0;
+  const { name, installments } = req.body;
+
+  if (!name || !Array.isArray(installments)) {
+    return res.status(400).json({ error: 'name and installments are required' });
+  }
+
+  if (installments.length < MIN_INSTALLMENTS || installments.length > MAX_INSTALLMENTS) {
+    return res.status(400).json({ error: `A plan must have between ${MIN_INSTALLMENTS} and ${MAX_INSTALLMENTS} installments` });
+  }
+
+  const parsedInstallments = installments.map(installment => ({
+    amount: parseFloat(installment.amount),
+    due_after_days: parseInt(installment.due_after_days, 10)
+  }));
+
+  const invalid = parsedInstallments.some((installment, index) =>
+    isNaN(installment.amount) || installment.amount <= 0 ||
+    isNaN(installment.due_after_days) || installment.due_after_days < 0 ||
+    (index > 0 && installment.due_after_days <= parsedInstallments[index - 1].due_after_days)
+  );
+
+  if (invalid || parsedInstallments[0].due_after_days !== 0) {
+    return res.status(400).json({
+      error: 'Each installment needs a positive amount and increasing due_after_days, starting at 0'
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const planResult = await client.query(
+      'INSERT INTO payment_plans (course_id, name) VALUES ($1, $2) RETURNING *',
+      [courseId, name]
+    );
+    const plan = planResult.rows[0];
+
+    for (const [index, installment] of parsedInstallments.entries()) {
+      await client.query(
+        `INSERT INTO payment_plan_installments (plan_id, installment_number, amount, due_after_days)
+         VALUES ($1, $2, $3, $4)`,
+        [plan.id, index + 1, installment.amount, installment.due_after_days]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      ...plan,
+      installments: parsedInstallments.map((installment, index) => ({ installment_number: index + 1, ...installment }))
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23503') {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    console.error('Error creating payment plan:', err);
+    res.status(500).json({ error: 'Error creating payment plan' });
+  } finally {
+    client.release();
+  }
+});
+
+// Deactivate a payment plan - existing schedules keep running
+app.delete('/api/payment-plans/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'UPDATE payment_plans SET is_active = FALSE WHERE id = $1 RETURNING id',
+      [parseInt(req.params.id, 10) || 0]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Payment plan not found' });
+    }
+
+    res.json({ success: true, message: 'Payment plan deactivated' });
+  } catch (err) {
+    console.error('Error deactivating payment plan:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// List installment enrollments with their schedules
+app.get('/api/installment-enrollments', requireRole('admin'), async (req, res) => {
+  const { status } = req.query;
+
+  try {
+    const result = await pool.query(
+      `SELECT e.*,
+         JSON_AGG(JSON_BUILD_OBJECT(
+           'id', i.id,
+           'installment_number', i.installment_number,
+           'amount', i.amount,
+           'due_date', i.due_date,
+           'status', i.status,
+           'payment_id', i.payment_id,
+           'paid_at', i.paid_at
+         ) ORDER BY i.installment_number) AS installments,
+         BOOL_OR(i.status = 'overdue') AS is_overdue
+       FROM installment_enrollments e
+       JOIN installment_payments i ON i.enrollment_id = e.id
+       WHERE ($1::text IS NULL OR e.status = $1)
+       GROUP BY e.id
+       ORDER BY e.created_at DESC`,
+      [status || null]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching installment enrollments:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Orders paid for an installment that was already paid, to be refunded from the Razorpay dashboard
+app.get('/api/orders/refund-required', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT o.*, i.installment_number, i.payment_id AS installment_payment_id
+       FROM orders o
+       JOIN installment_payments i ON i.id = o.installment_id
+       WHERE o.refund_required
+       ORDER BY o.updated_at DESC`
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching orders to refund:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Look up an installment from the link in a reminder email
+app.get('/api/installments/pay/:token', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT i.installment_number, i.amount, i.due_date, i.status, c.title AS course_title, e.name,
+         (SELECT COUNT(*) FROM installment_payments WHERE enrollment_id = e.id)::int AS installment_count
+       FROM installment_payments i
+       JOIN installment_enrollments e ON e.id = i.enrollment_id
+       JOIN courses c ON c.id = e.course_id
+       WHERE i.pay_token = $1`,
+      [req.params.token]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Installment not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error fetching installment:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create a Razorpay order for a later installment
+app.post('/api/installments/pay/:token', async (req, res) => {
+  try {
+    const installmentResult = await pool.query(
+      `SELECT i.*, e.name, e.email, e.phone, e.course_id, c.title AS course_title, e.status AS enrollment_status
+       FROM installment_payments i
+       JOIN installment_enrollments e ON e.id = i.enrollment_id
+       JOIN courses c ON c.id = e.course_id
+       WHERE i.pay_token = $1`,
+      [req.params.token]
+    );
+    const installment = installmentResult.rows[0];
+
+    if (!installment) {
+      return res.status(404).json({ error: 'Installment not found' });
+    }
+
+    if (installment.status === 'paid') {
+      return res.status(409).json({ error: 'This installment has already been paid' });
+    }
+
+    if (installment.enrollment_status !== 'active') {
+      return res.status(400).json({ error: 'This enrollment is not active' });
+    }
+
+    const parsedAmount = parseFloat(installment.amount);
+    const options = {
+      amount: Math.round(parsedAmount * 100),
+      currency: 'INR',
+      receipt: `installment_${installment.id}_${Date.now()}`,
+      payment_capture: 1
+    };
+
+    const order = await razorpay.orders.create(options);
+
+    await pool.query(
+      `INSERT INTO orders
+         (razorpay_order_id, name, email, phone, course_id, amount, original_amount,
+          currency, installment_id, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $6, $7, $8, 'created')`,
+      [
+        order.id, installment.name, installment.email, installment.phone,
+        installment.course_id, parsedAmount, options.currency, installment.id
+      ]
+    );
+
+    res.json({
+      order_id: order.id,
+      key_id: process.env.RAZORPAY_KEY_ID,
+      amount: options.amount,
+      currency: options.currency,
+      name: 'ASTA Education Academy',
+      description: `Installment ${installment.installment_number} for ${installment.course_title}`,
+      prefill: {
+        name: installment.name,
+        email: installment.email,
+        contact: installment.phone
+      }
+    });
+  } catch (err) {
+    console.error('Error creating installment order:', err);
+
+    if (err.error && err.error.description) {
+      return res.status(400).json({ error: 'Razorpay error: ' + err.error.description });
+    }
+
+    res.status(500).json({ error: 'Error creating order' });
+  }
+});
+
+// Batch helpers
+
+// Session times in the timetable are Indian Standard Time (no daylight saving)
+const TIMETABLE_UTC_OFFSET_MINUTES = 330;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validate batch fields. With partial = true only the fields present are checked.
+function validateBatchInput(body, partial = false) {
+  const errors = [];
+  const values = {};
+
+  if (body.name !== undefined || !partial) {
+    if (!body.name || String(body.name).trim().length === 0 || String(body.name).length > 100) {
+      errors.push('name is required and must be at most 100 characters');
+    } else {
+      values.name = String(body.name).trim();
+    }
+  }
+
+  for (const field of ['start_date', 'end_date']) {
+    if (body[field] !== undefined || !partial) {
+      if (!DATE_PATTERN.test(body[field] || '') || isNaN(new Date(body[field]).getTime())) {
+        errors.push(`${field} must be a date in YYYY-MM-DD format`);
+      } else {
+        values[field] = body[field];
+      }
+    }
+  }
+
+  if (values.start_date && values.end_date && values.end_date < values.start_date) {
+    errors.push('end_date must not be before start_date');
+  }
+
+  if (body.capacity !== undefined) {
+    if (body.capacity === null || body.capacity === '') {
+      values.capacity = null;
+    } else {
+      const capacity = parseInt(body.capacity, 10);
+      if (isNaN(capacity) || capacity <= 0) {
+        errors.push('capacity must be a positive integer or null');
+      } else {
+        values.capacity = capacity;
+      }
+    }
+  }
+
+  if (body.is_active !== undefined) {
+    values.is_active = Boolean(body.is_active);
+  }
+
+  return { errors, values };
+}
+
+// Validate a timetable entry: day_of_week 0 (Sunday) to 6, start_time HH:MM (IST)
+function validateSessionInput(body, partial = false) {
+  const errors = [];
+  const values = {};
+
+  if (body.title !== undefined) {
+    values.title = body.title ? String(body.title).trim().slice(0, 255) : null;
+  }
+
+  if (body.day_of_week !== undefined || !partial) {
+    const day = parseInt(body.day_of_week, 10);
+    if (isNaN(day) || day < 0 || day > 6) {
+      errors.push('day_of_week must be between 0 (Sunday) and 6 (Saturday)');
+    } else {
+      values.day_of_week = day;
+    }
+  }
+
+  if (body.start_time !== undefined || !partial) {
+    if (!TIME_PATTERN.test(body.start_time || '')) {
+      errors.push('start_time must be in HH:MM format');
+    } else {
+      values.start_time = body.start_time;
+    }
+  }
+
+  if (body.duration_minutes !== undefined || !partial) {
+    const duration = parseInt(body.duration_minutes, 10);
+    if (isNaN(duration) || duration <= 0) {
+      errors.push('duration_minutes must be a positive integer');
+    } else {
+      values.duration_minutes = duration;
+    }
+  }
+
+  if (body.meeting_url !== undefined) {
+    if (body.meeting_url && !/^https?:\/\//.test(body.meeting_url)) {
+      errors.push('meeting_url must be an http(s) URL');
+    } else {
+      values.meeting_url = body.meeting_url || null;
+    }
+  }
+
+  return { errors, values };
+}
+
+// Replace the teachers of a batch. Returns false if any id is not a teacher.
+async function setBatchTeachers(client, batchId, teacherIds) {
+  await client.query('DELETE FROM batch_teachers WHERE batch_id = $1', [batchId]);
+
+  const result = await client.query(
+    `INSERT INTO batch_teachers (batch_id, user_id)
+     SELECT $1, id FROM users WHERE id = ANY($2) AND role = 'teacher'`,
+    [batchId, teacherIds]
+  );
+
+  return result.rowCount === teacherIds.length;
+}
+
+// Teachers may only work with batches they are assigned to; admins with any
+async function canManageBatch(user, batchId) {
+  if (user.role !== 'teacher') {
+    return true;
+  }
+
+  const result = await pool.query(
+    'SELECT 1 FROM batch_teachers WHERE batch_id = $1 AND user_id = $2',
+    [batchId, user.id]
+  );
+  return result.rows.length > 0;
+}
+
+// Look up a timetable entry's batch and check the user may manage it. Returns
+// { batchId } or { error, status }.
+async function authorizeSession(user, sessionId) {
+  const result = await pool.query('SELECT batch_id FROM batch_sessions WHERE id = $1', [sessionId]);
+
+  if (result.rows.length === 0) {
+    return { error: 'Session not found', status: 404 };
+  }
+
+  if (!(await canManageBatch(user, result.rows[0].batch_id))) {
+    return { error: 'You do not have permission to perform this action', status: 403 };
+  }
+
+  return { batchId: result.rows[0].batch_id };
+}
+
+// SQL for a batch's paid students, used for capacity checks
+const BATCH_ENROLLED_SQL = `(SELECT COUNT(*) FROM students s WHERE s.batch_id = b.id AND s.payment_status = 'successful')::int`;
+
+// Choose the batch for a new enrollment. An explicit batch must belong to the
+// course, still be running and have a seat; without one the earliest open
+// batch with a seat is used. Courses without batches enroll with no batch.
+// Returns { batch } or { error, status }.
+async function selectBatchForEnrollment(course, batchId) {
+  const result = await pool.query(
+    `SELECT b.*, ${BATCH_ENROLLED_SQL} AS enrolled
+     FROM batches b
+     WHERE b.course_id = $1 AND b.is_active = TRUE AND b.end_date >= CURRENT_DATE
+     ORDER BY b.start_date, b.id`,
+    [course.id]
+  );
+  const hasSeat = batch => !batch.capacity || batch.enrolled < batch.capacity;
+
+  if (batchId) {
+    const batch = result.rows.find(row => row.id === batchId);
+
+    if (!batch) {
+      return { error: 'Batch not found', status: 404 };
+    }
+
+    return hasSeat(batch) ? { batch } : { error: 'This batch is full', status: 409 };
+  }
+
+  if (result.rows.length === 0) {
+    return { batch: null };
+  }
+
+  const batch = result.rows.find(hasSeat);
+  return batch ? { batch } : { error: 'All batches for this course are full', status: 409 };
+}
+
+// List the batches of a course - public callers only see active ones
+app.get('/api/courses/:id/batches', optionalAuthenticate, async (req, res) => {
+  const includeInactive = req.query.include_inactive === 'true' && req.user && req.user.role === 'admin';
+
+  try {
+    const result = await pool.query(
+      `SELECT b.*, ${BATCH_ENROLLED_SQL} AS enrolled,
+         COALESCE((
+           SELECT JSON_AGG(JSON_BUILD_OBJECT('id', u.id, 'name', u.name) ORDER BY u.name)
+           FROM batch_teachers bt JOIN users u ON u.id = bt.user_id
+           WHERE bt.batch_id = b.id
+         ), '[]') AS teachers,
+         COALESCE((
+           SELECT JSON_AGG(bs ORDER BY bs.day_of_week, bs.start_time)
+           FROM batch_sessions bs WHERE bs.batch_id = b.id
+         ), '[]') AS sessions
+       FROM batches b
+       WHERE b.course_id = $1 ${includeInactive ? '' : 'AND b.is_active = TRUE'}
+       ORDER BY b.start_date, b.id`,
+      [parseInt(req.params.id, 10) || 0]
+    );
+
+    const batches = result.rows.map(batch => ({
+      ...batch,
+      seats_left: batch.capacity ? Math.max(batch.capacity - batch.enrolled, 0) : null,
+      // Meeting links are only for enrolled students and staff, via the calendar feed
+      sessions: batch.sessions.map(({ meeting_url, ...session }) => session)
+    }));
+
+    res.json(batches);
+  } catch (err) {
+    console.error('Error fetching batches:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create a batch for a course, optionally with teacher_ids
+app.post('/api/courses/:id/batches', requireRole('admin'), async (req, res) => {
+  const { errors, values } = validateBatchInput(req.body);
+  const teacherIds = parseIdList(req.body.teacher_ids);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(', ') });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO batches (course_id, name, start_date, end_date, capacity, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        parseInt(req.params.id, 10) || 0,
+        values.name,
+        values.start_date,
+        values.end_date,
+        values.capacity || null,
+        values.is_active !== undefined ? values.is_active : true
+      ]
+    );
+    const batch = result.rows[0];
+
+    if (!(await setBatchTeachers(client, batch.id, teacherIds))) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'teacher_ids must all be users with the teacher role' });
+    }
+
+    await client.query('COMMIT');
+
+    res.status(201).json({ ...batch, teacher_ids: teacherIds });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23503') {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    console.error('Error creating batch:', err);
+    res.status(500).json({ error: 'Error creating batch' });
+  } finally {
+    client.release();
+  }
+});
+
+// Batch details with teachers, timetable and students
+app.get('/api/batches/:id', requireRole('admin', 'teacher'), async (req, res) => {
+  const batchId = parseInt(req.params.id, 10) || 0;
+
+  try {
+    const batchResult = await pool.query(
+      `SELECT b.*, ${BATCH_ENROLLED_SQL} AS enrolled FROM batches b WHERE b.id = $1`,
+      [batchId]
+    );
+
+    if (batchResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    if (!(await canManageBatch(req.user, batchId))) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+
+    const [teachersResult, sessionsResult, studentsResult] = await Promise.all([
+      pool.query(
+        `SELECT u.id, u.name, u.email FROM batch_teachers bt
+         JOIN users u ON u.id = bt.user_id
+         WHERE bt.batch_id = $1 ORDER BY u.name`,
+        [batchId]
+      ),
+      pool.query('SELECT * FROM batch_sessions WHERE batch_id = $1 ORDER BY day_of_week, start_time', [batchId]),
+      pool.query(
+        `SELECT id, name, email, phone, payment_status, registration_date FROM students
+         WHERE batch_id = $1 ORDER BY name`,
+        [batchId]
+      )
+    ]);
+
+    res.json({
+      ...batchResult.rows[0],
+      teachers: teachersResult.rows,
+      sessions: sessionsResult.rows,
+      students: studentsResult.rows
+    });
+  } catch (err) {
+    console.error('Error fetching batch:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Update a batch
+app.put('/api/batches/:id', requireRole('admin'), async (req, res) => {
+  const { errors, values } = validateBatchInput(req.body, true);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(', ') });
+  }
+
+  const fields = Object.keys(values);
+  if (fields.length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+
+  try {
+    const result = await pool.query(
+      `UPDATE batches SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [parseInt(req.params.id, 10) || 0, ...fields.map(field => values[field])]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23514') {
+      return res.status(400).json({ error: 'end_date must not be before start_date' });
+    }
+    console.error('Error updating batch:', err);
+    res.status(500).json({ error: 'Error updating batch' });
+  }
+});
+
+// Delete a batch - its students stay enrolled in the course without a batch
+app.delete('/api/batches/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM batches WHERE id = $1 RETURNING id',
+      [parseInt(req.params.id, 10) || 0]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    res.json({ success: true, message: 'Batch deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting batch:', err);
+    res.status(500).json({ error: 'Error deleting batch' });
+  }
+});
+
+// Replace the teachers assigned to a batch ({ teacher_ids })
+app.put('/api/batches/:id/teachers', requireRole('admin'), async (req, res) => {
+  const batchId = parseInt(req.params.id, 10) || 0;
+  const teacherIds = parseIdList(req.body.teacher_ids);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const batchResult = await client.query('SELECT id FROM batches WHERE id = $1 FOR UPDATE', [batchId]);
+
+    if (batchResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    if (!(await setBatchTeachers(client, batchId, teacherIds))) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'teacher_ids must all be users with the teacher role' });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({ batch_id: batchId, teacher_ids: teacherIds });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error updating batch teachers:', err);
+    res.status(500).json({ error: 'Error updating batch teachers' });
+  } finally {
+    client.release();
+  }
+});
+
+// Add a weekly session to a batch timetable
+app.post('/api/batches/:id/sessions', requireRole('admin', 'teacher'), async (req, res) => {
+  const { errors, values } = validateSessionInput(req.body);
+  const batchId = parseInt(req.params.id, 10) || 0;
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(', ') });
+  }
+
+  try {
+    if (!(await canManageBatch(req.user, batchId))) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO batch_sessions (batch_id, title, day_of_week, start_time, duration_minutes, meeting_url)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        batchId,
+        values.title || null,
+        values.day_of_week,
+        values.start_time,
+        values.duration_minutes,
+        values.meeting_url || null
+      ]
+    );
+
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23503') {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    console.error('Error creating session:', err);
+    res.status(500).json({ error: 'Error creating session' });
+  }
+});
+
+// Update a timetable entry, e.g. to change its meeting link
+app.put('/api/batch-sessions/:id', requireRole('admin', 'teacher'), async (req, res) => {
+  const { errors, values } = validateSessionInput(req.body, true);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(', ') });
+  }
+
+  const fields = Object.keys(values);
+  if (fields.length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  const sessionId = parseInt(req.params.id, 10) || 0;
+  const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+
+  try {
+    const { error, status } = await authorizeSession(req.user, sessionId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const result = await pool.query(
+      `UPDATE batch_sessions SET ${assignments.join(', ')}
+       WHERE id = $1
+       RETURNING *`,
+      [sessionId, ...fields.map(field => values[field])]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error updating session:', err);
+    res.status(500).json({ error: 'Error updating session' });
+  }
+});
+
+// Remove a timetable entry
+app.delete('/api/batch-sessions/:id', requireRole('admin', 'teacher'), async (req, res) => {
+  const sessionId = parseInt(req.params.id, 10) || 0;
+
+  try {
+    const { error, status } = await authorizeSession(req.user, sessionId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM batch_sessions WHERE id = $1 RETURNING id',
+      [sessionId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ success: true, message: 'Session deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting session:', err);
+    res.status(500).json({ error: 'Error deleting session' });
+  }
+});
+
+// Move a student to another batch of their course ({ batch_id }, null to unassign)
+app.put('/api/students/:id/batch', requireRole('admin'), async (req, res) => {
+  const studentId = parseInt(req.params.id, 10) || 0;
+  const batchId = req.body.batch_id === null ? null : parseInt(req.body.batch_id, 10) || 0;
+
+  try {
+    const studentResult = await pool.query('SELECT * FROM students WHERE id = $1', [studentId]);
+    const student = studentResult.rows[0];
+
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    if (batchId !== null && batchId !== student.batch_id) {
+      const { batch, error, status } = await selectBatchForEnrollment({ id: student.course_id }, batchId);
+
+      if (error || !batch) {
+        return res.status(status || 404).json({ error: error || 'Batch not found' });
+      }
+    }
+
+    const result = await pool.query(
+      'UPDATE students SET batch_id = $2 WHERE id = $1 RETURNING *',
+      [studentId, batchId]
+    );
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error updating student batch:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// iCalendar helpers
+
+// Escape a TEXT value (RFC 5545 section 3.3.11)
+function escapeIcsText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+
+  for (const character of line) {
+    if (Buffer.byteLength(current + character) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += character;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+// UTC date-time in iCalendar basic format, e.g. 20260105T143000Z
+function formatIcsDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Build a VEVENT for a weekly session, repeating from the first matching day
+// on or after the batch start until the batch end date. Returns null when the
+// weekday never falls inside the batch.
+function buildSessionEvent(session) {
+  const [startYear, startMonth, startDay] = session.start_date.split('-').map(Number);
+  const [hours, minutes] = session.start_time.split(':').map(Number);
+
+  const firstDay = new Date(Date.UTC(startYear, startMonth - 1, startDay));
+  firstDay.setUTCDate(firstDay.getUTCDate() + (session.day_of_week - firstDay.getUTCDay() + 7) % 7);
+
+  if (firstDay.toISOString().slice(0, 10) > session.end_date) {
+    return null;
+  }
+
+  const offset = TIMETABLE_UTC_OFFSET_MINUTES * 60 * 1000;
+  const start = new Date(firstDay.getTime() + (hours * 60 + minutes) * 60 * 1000 - offset);
+  const end = new Date(start.getTime() + session.duration_minutes * 60 * 1000);
+  const [endYear, endMonth, endDay] = session.end_date.split('-').map(Number);
+  const until = new Date(Date.UTC(endYear, endMonth - 1, endDay, 23, 59, 59) - offset);
+
+  const summary = `${session.course_title}${session.title ? ` - ${session.title}` : ''} (${session.batch_name})`;
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:batch-session-${session.id}@asta-education`,
+    `DTSTAMP:${formatIcsDate(new Date())}`,
+    `DTSTART:${formatIcsDate(start)}`,
+    `DTEND:${formatIcsDate(end)}`,
+    `RRULE:FREQ=WEEKLY;UNTIL=${formatIcsDate(until)}`,
+    `SUMMARY:${escapeIcsText(summary)}`
+  ];
+
+  if (session.meeting_url) {
+    lines.push(`LOCATION:${escapeIcsText(session.meeting_url)}`);
+    lines.push(`URL:${session.meeting_url}`);
+    lines.push(`DESCRIPTION:${escapeIcsText(`Join the live class: ${session.meeting_url}`)}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// Render sessions as an iCalendar document
+function buildCalendar(name, sessions) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//ASTA Education Academy//Live Classes//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`
+  ];
+
+  for (const session of sessions) {
+    const event = buildSessionEvent(session);
+    if (event) {
+      lines.push(...event);
+    }
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// Calendar feed URL for the signed-in user, creating its token on first use
+app.get('/api/calendar/feed', authenticate, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE users SET calendar_token = COALESCE(calendar_token, $2)
+       WHERE id = $1
+       RETURNING calendar_token`,
+      [req.user.id, crypto.randomBytes(24).toString('hex')]
+    );
+
+    res.json({ url: `${PUBLIC_API_URL}/calendar/${result.rows[0].calendar_token}.ics` });
+  } catch (err) {
+    console.error('Error creating calendar feed:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Replace the calendar feed token, e.g. after the URL was shared by mistake
+app.post('/api/calendar/feed/reset', authenticate, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'UPDATE users SET calendar_token = $2 WHERE id = $1 RETURNING calendar_token',
+      [req.user.id, crypto.randomBytes(24).toString('hex')]
+    );
+
+    res.json({ url: `${PUBLIC_API_URL}/calendar/${result.rows[0].calendar_token}.ics` });
+  } catch (err) {
+    console.error('Error resetting calendar feed:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// iCalendar feed of live sessions. Students get the batches they are enrolled
+// in, teachers the batches they teach.
+app.get('/calendar/:token.ics', async (req, res) => {
+  try {
+    const userResult = await pool.query('SELECT * FROM users WHERE calendar_token = $1', [req.params.token]);
+    const user = userResult.rows[0];
+
+    if (!user) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT bs.*, b.name AS batch_name, c.title AS course_title,
+         TO_CHAR(b.start_date, 'YYYY-MM-DD') AS start_date,
+         TO_CHAR(b.end_date, 'YYYY-MM-DD') AS end_date
+       FROM batch_sessions bs
+       JOIN batches b ON b.id = bs.batch_id
+       JOIN courses c ON c.id = b.course_id
+       WHERE b.is_active = TRUE AND (
+         b.id IN (SELECT batch_id FROM batch_teachers WHERE user_id = $1)
+         OR b.id IN (
+           SELECT batch_id FROM students
+           WHERE LOWER(email) = LOWER($2) AND payment_status IN ('successful', 'partially_refunded')
+         )
+       )
+       ORDER BY b.start_date, bs.day_of_week, bs.start_time`,
+      [user.id, user.email]
+    );
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="asta-classes.ics"');
+    res.send(buildCalendar('ASTA Live Classes', result.rows));
+  } catch (err) {
+    console.error('Error building calendar feed:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Attendance helpers
+const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused'];
+
+// Students below this attendance percentage are flagged
+const ATTENDANCE_THRESHOLD = parseFloat(process.env.ATTENDANCE_THRESHOLD) || 75;
+
+// Set ATTENDANCE_GUARDIAN_EMAILS=true to email guardians of flagged students
+const ATTENDANCE_GUARDIAN_EMAILS = process.env.ATTENDANCE_GUARDIAN_EMAILS === 'true';
+
+// Guardians are emailed at most once a week, and only once enough sessions
+// have been marked for the percentage to mean something
+const ATTENDANCE_ALERT_MIN_SESSIONS = 3;
+const ATTENDANCE_ALERT_INTERVAL_DAYS = 7;
+
+// Per-student attendance counts. whereClause filters the students table (alias s);
+// records are limited to sessions of the student's current batch.
+function attendanceSummarySql(whereClause) {
+  return `
+    SELECT s.id AS student_id, s.name, s.email, s.batch_id, s.guardian_name, s.guardian_email,
+      s.attendance_alert_sent_at, s.preferred_language,
+      COUNT(a.id) FILTER (WHERE a.status = 'present')::int AS present,
+      COUNT(a.id) FILTER (WHERE a.status = 'late')::int AS late,
+      COUNT(a.id) FILTER (WHERE a.status = 'absent')::int AS absent,
+      COUNT(a.id) FILTER (WHERE a.status = 'excused')::int AS excused
+    FROM students s
+    LEFT JOIN batch_sessions bs ON bs.batch_id = s.batch_id
+    LEFT JOIN attendance_records a ON a.session_id = bs.id AND a.student_id = s.id
+    WHERE ${whereClause}
+    GROUP BY s.id
+    ORDER BY s.name
+  `;
+}
+
+// Add the attendance percentage and threshold flag to a summary row.
+// Late counts as attended; excused sessions are left out of the total.
+function withAttendancePercentage(row) {
+  const counted = row.present + row.late + row.absent;
+  const percentage = counted > 0 ? Math.round((row.present + row.late) / counted * 1000) / 10 : null;
+
+  return {
+    ...row,
+    sessions_counted: counted,
+    attendance_percentage: percentage,
+    below_threshold: percentage !== null && percentage < ATTENDANCE_THRESHOLD
+  };
+}
+
+// Worksheet rows for attendance summaries
+function attendanceSheetRows(rows) {
+  return rows.map(row => ({
+    'Student ID': row.student_id,
+    Name: row.name,
+    Email: row.email,
+    Present: row.present,
+    Late: row.late,
+    Absent: row.absent,
+    Excused: row.excused,
+    'Attendance %': row.attendance_percentage !== null ? row.attendance_percentage : 'N/A',
+    [`Below ${ATTENDANCE_THRESHOLD}%`]: row.below_threshold ? 'Yes' : 'No'
+  }));
+}
+
+// Load a batch session and check a date is one of its occurrences
+async function getSessionOccurrence(sessionId, sessionDate) {
+  const result = await pool.query(
+    `SELECT bs.*, TO_CHAR(b.start_date, 'YYYY-MM-DD') AS start_date, TO_CHAR(b.end_date, 'YYYY-MM-DD') AS end_date
+     FROM batch_sessions bs
+     JOIN batches b ON b.id = bs.batch_id
+     WHERE bs.id = $1`,
+    [sessionId]
+  );
+  const session = result.rows[0];
+
+  if (!session) {
+    return { error: 'Session not found', status: 404 };
+  }
+
+  if (!DATE_PATTERN.test(sessionDate || '') || isNaN(new Date(sessionDate).getTime())) {
+    return { error: 'date must be in YYYY-MM-DD format', status: 400 };
+  }
+
+  if (new Date(`${sessionDate}T00:00:00Z`).getUTCDay() !== session.day_of_week ||
+      sessionDate < session.start_date || sessionDate > session.end_date) {
+    return { error: 'The session does not take place on that date', status: 400 };
+  }
+
+  return { session };
+}
+
+// Email guardians of students in a batch who have dropped below the threshold
+async function notifyGuardiansBelowThreshold(batchId) {
+  const result = await pool.query(
+    attendanceSummarySql(`s.batch_id = $1 AND s.guardian_email IS NOT NULL
+      AND (s.attendance_alert_sent_at IS NULL
+        OR s.attendance_alert_sent_at < NOW() - $2 * INTERVAL '1 day')`),
+    [batchId, ATTENDANCE_ALERT_INTERVAL_DAYS]
+  );
+
+  for (const summary of result.rows.map(withAttendancePercentage)) {
+    if (!summary.below_threshold || summary.sessions_counted < ATTENDANCE_ALERT_MIN_SESSIONS) {
+      continue;
+    }
+
+    try {
+      await queueAttendanceAlertEmail(pool, summary);
+      await pool.query(
+        'UPDATE students SET attendance_alert_sent_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [summary.student_id]
+      );
+    } catch (error) {
+      console.error(`Error queueing attendance alert for student ${summary.student_id}:`, error);
+    }
+  }
+}
+
+// Attendance roster for one occurrence of a session (?date=YYYY-MM-DD)
+app.get('/api/batch-sessions/:id/attendance', requireRole('admin', 'teacher'), async (req, res) => {
+  try {
+    const { session, error, status } = await getSessionOccurrence(parseInt(req.params.id, 10) || 0, req.query.date);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    if (!(await canManageBatch(req.user, session.batch_id))) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+
+    const result = await pool.query(
+      `SELECT s.id AS student_id, s.name, s.email, a.status, a.note, a.marked_by, a.marked_at
+       FROM students s
+       LEFT JOIN attendance_records a
+         ON a.student_id = s.id AND a.session_id = $1 AND a.session_date = $3
+       WHERE s.batch_id = $2 AND s.payment_status IN ('successful', 'partially_refunded')
+       ORDER BY s.name`,
+      [session.id, session.batch_id, req.query.date]
+    );
+
+    res.json({ session_id: session.id, session_date: req.query.date, students: result.rows });
+  } catch (err) {
+    console.error('Error fetching attendance:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Mark attendance for one occurrence of a session. { date, status } marks the
+// whole batch; records: [{ student_id, status, note }] sets individual students
+// and overrides the batch-wide status.
+app.put('/api/batch-sessions/:id/attendance', requireRole('admin', 'teacher'), async (req, res) => {
+  const { date, status: batchStatus, records = [] } = req.body;
+
+  if (batchStatus !== undefined && !ATTENDANCE_STATUSES.includes(batchStatus)) {
+    return res.status(400).json({ error: `status must be one of ${ATTENDANCE_STATUSES.join(', ')}` });
+  }
+
+  if (!Array.isArray(records) || records.some(record =>
+    !record || !parseInt(record.student_id, 10) || !ATTENDANCE_STATUSES.includes(record.status))) {
+    return res.status(400).json({ error: `records must be an array of { student_id, status } with status one of ${ATTENDANCE_STATUSES.join(', ')}` });
+  }
+
+  if (!batchStatus && records.length === 0) {
+    return res.status(400).json({ error: 'Provide a status for the whole batch or individual records' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const { session, error, status } = await getSessionOccurrence(parseInt(req.params.id, 10) || 0, date);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    if (!(await canManageBatch(req.user, session.batch_id))) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+
+    const studentsResult = await client.query(
+      `SELECT id FROM students
+       WHERE batch_id = $1 AND payment_status IN ('successful', 'partially_refunded')`,
+      [session.batch_id]
+    );
+    const batchStudentIds = studentsResult.rows.map(row => row.id);
+
+    // Individual records win over the batch-wide status
+    const marks = new Map();
+    if (batchStatus) {
+      batchStudentIds.forEach(studentId => marks.set(studentId, { status: batchStatus, note: null }));
+    }
+    for (const record of records) {
+      marks.set(parseInt(record.student_id, 10), { status: record.status, note: record.note || null });
+    }
+
+    const outsiders = [...marks.keys()].filter(studentId => !batchStudentIds.includes(studentId));
+    if (outsiders.length > 0) {
+      return res.status(400).json({ error: `Students not in this batch: ${outsiders.join(', ')}` });
+    }
+
+    await client.query('BEGIN');
+
+    for (const [studentId, mark] of marks) {
+      await client.query(
+        `INSERT INTO attendance_records (session_id, session_date, student_id, status, note, marked_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (session_id, session_date, student_id) DO UPDATE SET
+           status = EXCLUDED.status, note = EXCLUDED.note,
+           marked_by = EXCLUDED.marked_by, marked_at = CURRENT_TIMESTAMP`,
+        [session.id, date, studentId, mark.status, mark.note, req.user.uid]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    res.json({ session_id: session.id, session_date: date, marked: marks.size });
+
+    if (ATTENDANCE_GUARDIAN_EMAILS) {
+      notifyGuardiansBelowThreshold(session.batch_id)
+        .catch(notifyError => console.error('Error notifying guardians:', notifyError));
+    }
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error marking attendance:', err);
+    res.status(500).json({ error: 'Error marking attendance' });
+  } finally {
+    client.release();
+  }
+});
+
+// The signed-in student's attendance in each of their batches
+app.get('/api/attendance/me', requireRole('student'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      attendanceSummarySql(`LOWER(s.email) = LOWER($1) AND s.batch_id IS NOT NULL
+        AND s.payment_status IN ('successful', 'partially_refunded')`),
+      [req.user.email]
+    );
+
+    res.json(result.rows.map(row => {
+      const { guardian_name, guardian_email, attendance_alert_sent_at, ...summary } = withAttendancePercentage(row);
+      return summary;
+    }));
+  } catch (err) {
+    console.error('Error fetching attendance:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Attendance report for a batch (?format=xlsx to download, ?below_threshold=true for flagged students only)
+app.get('/api/batches/:id/attendance/report', requireRole('admin', 'teacher'), async (req, res) => {
+  const batchId = parseInt(req.params.id, 10) || 0;
+
+  try {
+    if (!(await canManageBatch(req.user, batchId))) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+
+    const result = await pool.query(
+      attendanceSummarySql(`s.batch_id = $1 AND s.payment_status IN ('successful', 'partially_refunded')`),
+      [batchId]
+    );
+
+    let report = result.rows.map(withAttendancePercentage);
+    if (req.query.below_threshold === 'true') {
+      report = report.filter(row => row.below_threshold);
+    }
+
+    if (req.query.format !== 'xlsx') {
+      return res.json({ threshold: ATTENDANCE_THRESHOLD, students: report });
+    }
+
+    const worksheet = xlsx.utils.json_to_sheet(attendanceSheetRows(report));
+    sendWorksheet(res, worksheet, 'Attendance', `batch-${batchId}-attendance.xlsx`);
+  } catch (err) {
+    console.error('Error building attendance report:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Attendance history of one student (?format=xlsx to download)
+app.get('/api/students/:id/attendance', requireRole('admin'), async (req, res) => {
+  const studentId = parseInt(req.params.id, 10) || 0;
+
+  try {
+    const summaryResult = await pool.query(attendanceSummarySql('s.id = $1'), [studentId]);
+
+    if (summaryResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const recordsResult = await pool.query(
+      `SELECT a.session_id, TO_CHAR(a.session_date, 'YYYY-MM-DD') AS session_date, a.status, a.note,
+         a.marked_by, a.marked_at, bs.title AS session_title, b.name AS batch_name
+       FROM attendance_records a
+       JOIN batch_sessions bs ON bs.id = a.session_id
+       JOIN batches b ON b.id = bs.batch_id
+       WHERE a.student_id = $1
+       ORDER BY a.session_date DESC, bs.start_time DESC`,
+      [studentId]
+    );
+
+    const summary = withAttendancePercentage(summaryResult.rows[0]);
+
+    if (req.query.format !== 'xlsx') {
+      return res.json({ ...summary, threshold: ATTENDANCE_THRESHOLD, records: recordsResult.rows });
+    }
+
+    const worksheet = xlsx.utils.json_to_sheet(recordsResult.rows.map(record => ({
+      Date: record.session_date,
+      Batch: record.batch_name,
+      Session: record.session_title || '',
+      Status: record.status,
+      Note: record.note || ''
+    })));
+    xlsx.utils.sheet_add_aoa(worksheet, [
+      [],
+      ['Attendance %', summary.attendance_percentage !== null ? summary.attendance_percentage : 'N/A']
+    ], { origin: -1 });
+
+    sendWorksheet(res, worksheet, 'Attendance', `student-${studentId}-attendance.xlsx`);
+  } catch (err) {
+    console.error('Error fetching student attendance:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Set the guardian who receives attendance alerts for a student
+app.put('/api/students/:id/guardian', requireRole('admin'), async (req, res) => {
+  const { guardian_name, guardian_email } = req.body;
+
+  if (guardian_email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(guardian_email)) {
+    return res.status(400).json({ error: 'guardian_email must be a valid email address' });
+  }
+
+  try {
+    const result = await pool.query(
+      'UPDATE students SET guardian_name = $2, guardian_email = $3 WHERE id = $1 RETURNING *',
+      [parseInt(req.params.id, 10) || 0, guardian_name || null, guardian_email || null]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error updating guardian:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Rate limits for starting a checkout
+const checkoutIpLimiter = createRateLimiter({
+  windowMs: 10 * 60 * 1000,
+  max: parseInt(process.env.CHECKOUT_RATE_LIMIT_PER_IP, 10) || 20,
+  key: req => `ip:${getClientIp(req)}`
+});
+const checkoutEmailLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: parseInt(process.env.CHECKOUT_RATE_LIMIT_PER_EMAIL, 10) || 10,
+  key: req => (req.body.email ? `email:${String(req.body.email).trim().toLowerCase()}` : null)
+});
+
+// Handle form submission and create Razorpay order
+app.post('/create-order', checkoutIpLimiter, checkoutEmailLimiter, verifyCaptcha, async (req, res) => {
+  // Bots that fill the hidden honeypot field get no Razorpay order
+  if (req.body[HONEYPOT_FIELD]) {
+    console.log('Rejected checkout with honeypot field from', getClientIp(req));
+    return res.status(400).json({ error: 'Unable to process this request' });
+  }
+
+  try {
+    const { name, email, phone, course_id, batch_id, coupon_code, payment_plan_id, billing_state_code } = req.body;
+    const language = req.body.language || DEFAULT_EMAIL_LOCALE;
+
+    // Improved validation
+    if (!name || !email || !phone || !course_id) {
+      return res.status(400).json({ error: 'All fields are required' });
+    }
+
+    if (!EMAIL_LOCALES.includes(language)) {
+      return res.status(400).json({ error: `language must be one of: ${EMAIL_LOCALES.join(', ')}` });
+    }
+
+    // Optional two-digit GST state code of the buyer, used for the place of supply
+    if (billing_state_code && !/^\d{2}$/.test(billing_state_code)) {
+      return res.status(400).json({ error: 'billing_state_code must be a two-digit GST state code' });
+    }
+
+    if (payment_plan_id && coupon_code) {
+      return res.status(400).json({ error: 'Coupons cannot be combined with installment plans' });
+    }
+
+    // Price always comes from the catalog, never from the client
+    const courseResult = await pool.query(
+      'SELECT * FROM courses WHERE id = $1 AND is_active = TRUE',
+      [parseInt(course_id, 10) || 0]
+    );
+
+    if (courseResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const courseRecord = courseResult.rows[0];
+
+    const batchSelection = await selectBatchForEnrollment(courseRecord, batch_id ? parseInt(batch_id, 10) || 0 : null);
+
+    if (batchSelection.error) {
+      return res.status(batchSelection.status).json({ error: batchSelection.error });
+    }
+
+    const batch = batchSelection.batch;
+
+    const course = courseRecord.title;
+    const originalAmount = parseFloat(courseRecord.price);
+    let parsedAmount = originalAmount;
+    let coupon = null;
+    let discountAmount = 0;
+
+    // With a payment plan only the first installment is charged now
+    let plan = null;
+    if (payment_plan_id) {
+      plan = await getPaymentPlan(parseInt(payment_plan_id, 10) || 0, courseRecord.id);
+
+      if (!plan) {
+        return res.status(404).json({ error: 'Payment plan not found' });
+      }
+
+      parsedAmount = parseFloat(plan.installments[0].amount);
+    }
+
+    // Persist the order so /verify-payment and the webhook use server-side details
+    const client = await pool.connect();
+    let order;
+    let options;
+    try {
+      await client.query('BEGIN');
+
+      // Lock the course so concurrent checkouts count its seats one at a time
+      await client.query('SELECT id FROM courses WHERE id = $1 FOR UPDATE', [courseRecord.id]);
+
+      if (await isCourseFull(client, courseRecord)) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'This course is full' });
+      }
+
+      // Apply the coupon on the server so the client cannot choose its own price.
+      // The coupon stays locked until this order is stored, so concurrent
+      // checkouts are counted against its usage limits one at a time.
+      if (coupon_code) {
+        const evaluation = await evaluateCoupon(client, coupon_code, courseRecord, email, { forUpdate: true });
+
+        if (!evaluation.valid) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: evaluation.error });
+        }
+
+        coupon = evaluation.coupon;
+        discountAmount = evaluation.discountAmount;
+        parsedAmount = evaluation.finalAmount;
+      }
+
+      // Create Razorpay order with proper amount conversion to paisa
+      options = {
+        amount: Math.round(parsedAmount * 100), // amount in paisa with proper rounding
+        currency: courseRecord.currency,
+        receipt: `receipt_${Date.now()}`,
+        payment_capture: 1
+      };
+
+      let installmentId = null;
+      if (plan) {
+        const schedule = await createInstallmentSchedule(client, plan, courseRecord, { name, email, phone, language });
+        installmentId = schedule[0].id;
+      }
+
+      // The Razorpay order is created last, once every check has passed, so a
+      // rejected request leaves no orphan order behind
+      order = await razorpay.orders.create(options);
+
+      await client.query(
+        `INSERT INTO orders
+           (razorpay_order_id, name, email, phone, course_id, amount, original_amount,
+            discount_amount, coupon_id, coupon_code, currency, installment_id, billing_state_code, batch_id,
+            preferred_language, status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, 'created')`,
+        [
+          order.id, name, email, phone, courseRecord.id, parsedAmount,
+          plan ? parsedAmount : originalAmount, discountAmount,
+          coupon ? coupon.id : null, coupon ? coupon.code : null, options.currency, installmentId,
+          billing_state_code || null, batch ? batch.id : null, language
+        ]
+      );
+
+      await client.query('COMMIT');
+    } catch (dbError) {
+      await client.query('ROLLBACK');
+      throw dbError;
+    } finally {
+      client.release();
+    }
+
+    // Return order details to client WITH proper Razorpay configuration
+    res.json({
+      order_id: order.id,
+      key_id: process.env.RAZORPAY_KEY_ID,
+      amount: options.amount,
+      currency: options.currency,
+      name: 'ASTA Education Academy',
+      description: `Course Registration for ${course}`,
+      student_info: {
+        name,
+        email,
         phone,
         course,
+        course_id: courseRecord.id,
+        batch_id: batch ? batch.id : null,
+        original_amount: originalAmount,
+        discount_amount: discountAmount,
+        coupon_code: coupon ? coupon.code : null,
         amount: parsedAmount // Store the original amount, not in paisa
       },
       prefill: {
@@ -326,678 +3855,5234 @@ app.post('/create-order', async (req, res) => {
             show_default_blocks: false
           }
         }
-      },
-      // Improved app handling for callbacks
-      modal: {
-        escape: false,
-        ondismiss: function () {
-          console.log('Payment window closed');
+      },
+      // Improved app handling for callbacks
+      modal: {
+        escape: false,
+        ondismiss: function () {
+          console.log('Payment window closed');
+        }
+      }
+    });
+  } catch (err) {
+    console.error('Error creating Razorpay order:', err);
+
+    // More detailed error response
+    if (err.error && err.error.description) {
+      return res.status(400).json({
+        error: 'Razorpay error: ' + err.error.description
+      });
+    }
+
+    return res.status(500).json({
+      error: 'Error creating order',
+      details: err.message
+    });
+  }
+});
+
+// Verify payment and update records
+app.post('/verify-payment', async (req, res) => {
+  const {
+    razorpay_order_id,
+    razorpay_payment_id,
+    razorpay_signature
+  } = req.body;
+
+  // Verify signature
+  const body = razorpay_order_id + '|' + razorpay_payment_id;
+  const expectedSignature = crypto
+    .createHmac('sha256', process.env.RAZORPAY_SECRET)
+    .update(body)
+    .digest('hex');
+
+  if (expectedSignature !== razorpay_signature) {
+    return res.status(400).json({ status: 'failure', message: 'Invalid signature' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Student details come from the stored order, never from the request body
+    const orderResult = await client.query(
+      'SELECT * FROM orders WHERE razorpay_order_id = $1 FOR UPDATE',
+      [razorpay_order_id]
+    );
+
+    if (orderResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ status: 'failure', message: 'Order not found' });
+    }
+
+    // Insert student record in database AFTER successful payment
+    const { duplicate } = await recordOrderPayment(client, orderResult.rows[0], razorpay_payment_id);
+
+    await client.query('COMMIT');
+
+    if (duplicate) {
+      return res.status(409).json({
+        status: 'duplicate',
+        message: 'This installment was already paid. The second payment will be refunded.'
+      });
+    }
+
+    res.json({ status: 'success', message: 'Payment successful and records updated' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error in post-payment processing:', error);
+    res.status(500).json({ status: 'error', message: 'Post-payment processing error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Course title of a students row, for emails and invoices. Select it alongside
+// the row (SELECT *, ... FROM students) since the course text is no longer stored.
+const STUDENT_COURSE_TITLE_SQL = '(SELECT title FROM courses WHERE id = students.course_id) AS course_title';
+
+// Record a successful payment against a stored order. Shared by /verify-payment
+// and the webhook; the student is only notified the first time a payment is seen.
+async function recordOrderPayment(client, order, paymentId) {
+  if (order.installment_id) {
+    return recordInstallmentPayment(client, order, paymentId);
+  }
+
+  const { student, inserted } = await upsertStudentPayment(client, order, paymentId);
+
+  await transitionOrder(client, order.razorpay_order_id, 'paid', {
+    payment_id: paymentId,
+    student_id: student.id
+  });
+
+  if (inserted) {
+    const invoice = await createInvoice(client, order, student, paymentId);
+
+    // Queue email notification, sent once the payment is committed
+    await queuePaymentConfirmationEmail(client, student, invoice);
+  }
+
+  return { student, inserted };
+}
+
+// Record payment of one installment. The first installment creates the student
+// record; later ones add to the amount paid on it.
+async function recordInstallmentPayment(client, order, paymentId) {
+  const installmentResult = await client.query(
+    `SELECT i.*, e.student_id, e.plan_id
+     FROM installment_payments i
+     JOIN installment_enrollments e ON e.id = i.enrollment_id
+     WHERE i.id = $1
+     FOR UPDATE OF i, e`,
+    [order.installment_id]
+  );
+  const installment = installmentResult.rows[0];
+
+  // Another payment for an installment that is already paid (e.g. from two open
+  // checkout tabs) is not applied to the enrollment. Its order is flagged with
+  // refund_required instead so staff can refund it.
+  const duplicate = installment.status === 'paid' && installment.payment_id !== paymentId;
+
+  let student;
+  let inserted = false;
+
+  if (installment.status === 'paid') {
+    const studentResult = await client.query(
+      `SELECT *, ${STUDENT_COURSE_TITLE_SQL} FROM students WHERE id = $1`,
+      [installment.student_id]
+    );
+    student = studentResult.rows[0];
+  } else if (!installment.student_id) {
+    ({ student, inserted } = await upsertStudentPayment(client, order, paymentId));
+
+    await client.query(
+      "UPDATE installment_enrollments SET student_id = $2, status = 'active' WHERE id = $1",
+      [installment.enrollment_id, student.id]
+    );
+  } else {
+    const studentResult = await client.query(
+      `UPDATE students SET
+         amount = amount + $2,
+         original_amount = COALESCE(original_amount, amount) + $2
+       WHERE id = $1
+       RETURNING *, ${STUDENT_COURSE_TITLE_SQL}`,
+      [installment.student_id, order.amount]
+    );
+    student = studentResult.rows[0];
+  }
+
+  if (installment.status !== 'paid') {
+    await client.query(
+      "UPDATE installment_payments SET status = 'paid', payment_id = $2, paid_at = CURRENT_TIMESTAMP WHERE id = $1",
+      [installment.id, paymentId]
+    );
+
+    await client.query(
+      `UPDATE installment_enrollments SET status = 'completed'
+       WHERE id = $1 AND NOT EXISTS (
+         SELECT 1 FROM installment_payments WHERE enrollment_id = $1 AND status <> 'paid'
+       )`,
+      [installment.enrollment_id]
+    );
+  }
+
+  await transitionOrder(client, order.razorpay_order_id, 'paid', {
+    payment_id: paymentId,
+    student_id: student.id
+  });
+
+  if (duplicate) {
+    await client.query(
+      'UPDATE orders SET refund_required = TRUE, updated_at = CURRENT_TIMESTAMP WHERE razorpay_order_id = $1',
+      [order.razorpay_order_id]
+    );
+    console.warn('Duplicate payment for paid installment, refund required:', {
+      installmentId: installment.id,
+      paymentId
+    });
+  }
+
+  if (installment.status !== 'paid') {
+    const invoice = await createInvoice(client, order, student, paymentId);
+
+    if (inserted) {
+      // Queue email notification, sent once the payment is committed
+      await queuePaymentConfirmationEmail(client, student, invoice);
+    } else {
+      await queueInstallmentReceiptEmail(client, student, { ...installment, payment_id: paymentId }, invoice);
+    }
+  }
+
+  return { student, inserted, duplicate };
+}
+
+// Insert or update the student record for a captured payment.
+// Keyed on payment_id so /verify-payment and the webhook never create duplicates.
+async function upsertStudentPayment(client, studentInfo, paymentId) {
+  const {
+    name, email, phone, course_id, batch_id, amount,
+    original_amount, discount_amount, coupon_code, preferred_language
+  } = studentInfo;
+
+  const result = await client.query(
+    `INSERT INTO students
+       (name, email, phone, course_id, amount, original_amount, discount_amount, coupon_code, payment_id, batch_id,
+        preferred_language, payment_status)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'successful')
+     ON CONFLICT (payment_id) DO UPDATE SET
+       payment_status = CASE
+         WHEN students.payment_status IN ('refunded', 'partially_refunded') THEN students.payment_status
+         ELSE 'successful'
+       END
+     RETURNING *, ${STUDENT_COURSE_TITLE_SQL}, (xmax = 0) AS inserted`,
+    [
+      name, email, phone, course_id, amount,
+      original_amount || amount, discount_amount || 0, coupon_code || null,
+      paymentId, batch_id || null, preferred_language || DEFAULT_EMAIL_LOCALE
+    ]
+  );
+
+  const { inserted, ...student } = result.rows[0];
+  return { student, inserted };
+}
+
+// Verify the X-Razorpay-Signature header against the raw webhook body
+function isValidWebhookSignature(rawBody, signature) {
+  if (!process.env.RAZORPAY_WEBHOOK_SECRET || !rawBody || !signature) {
+    return false;
+  }
+
+  const expectedSignature = crypto
+    .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
+    .update(rawBody)
+    .digest('hex');
+
+  const expected = Buffer.from(expectedSignature);
+  const received = Buffer.from(String(signature));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Allowed order status changes. Money can still arrive for an order we
+// have marked failed or expired, so those may move to paid as well.
+const ORDER_TRANSITIONS = {
+  created: ['attempted', 'paid', 'failed', 'expired'],
+  attempted: ['paid', 'failed', 'expired'],
+  failed: ['attempted', 'paid', 'expired'],
+  expired: ['paid'],
+  paid: []
+};
+
+// Move an order to a new status if the transition is allowed.
+// Returns the updated order, or null when the order is missing or already past that state.
+async function transitionOrder(client, razorpayOrderId, nextStatus, fields = {}) {
+  const allowedFrom = Object.keys(ORDER_TRANSITIONS)
+    .filter(status => ORDER_TRANSITIONS[status].includes(nextStatus));
+
+  const result = await client.query(
+    `UPDATE orders SET
+       status = $2,
+       payment_id = COALESCE($4, payment_id),
+       student_id = COALESCE($5, student_id),
+       updated_at = CURRENT_TIMESTAMP
+     WHERE razorpay_order_id = $1 AND status = ANY($3)
+     RETURNING *`,
+    [razorpayOrderId, nextStatus, allowedFrom, fields.payment_id || null, fields.student_id || null]
+  );
+
+  return result.rows[0] || null;
+}
+
+// Record a captured payment from webhook data, using the order stored by /create-order
+async function reconcileCapturedPayment(client, payment) {
+  const orderResult = await client.query(
+    'SELECT * FROM orders WHERE razorpay_order_id = $1 FOR UPDATE',
+    [payment.order_id]
+  );
+
+  if (orderResult.rows.length === 0) {
+    console.error('Webhook payment has no matching order:', payment.id, payment.order_id);
+    return;
+  }
+
+  const order = orderResult.rows[0];
+
+  if (Math.round(order.amount * 100) !== payment.amount) {
+    console.error('Webhook payment amount does not match order:', payment.id, payment.order_id);
+    return;
+  }
+
+  const { student, inserted } = await recordOrderPayment(client, order, payment.id);
+
+  if (inserted) {
+    console.log('Student recorded from Razorpay webhook:', { studentId: student.id, paymentId: payment.id });
+  }
+}
+
+// Razorpay webhook endpoint
+app.post('/webhooks/razorpay', async (req, res) => {
+  if (!isValidWebhookSignature(req.rawBody, req.headers['x-razorpay-signature'])) {
+    return res.status(400).json({ status: 'failure', message: 'Invalid signature' });
+  }
+
+  const eventId = req.headers['x-razorpay-event-id'];
+  const { event, payload } = req.body;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Razorpay retries deliveries, so skip events we have already processed
+    if (eventId) {
+      const eventResult = await client.query(
+        'INSERT INTO razorpay_webhook_events (event_id, event) VALUES ($1, $2) ON CONFLICT (event_id) DO NOTHING RETURNING event_id',
+        [eventId, event]
+      );
+
+      if (eventResult.rows.length === 0) {
+        await client.query('COMMIT');
+        return res.json({ status: 'ok', message: 'Event already processed' });
+      }
+    }
+
+    switch (event) {
+      case 'payment.captured':
+        await reconcileCapturedPayment(client, payload.payment.entity);
+        break;
+
+      case 'order.paid':
+        await reconcileCapturedPayment(client, payload.payment.entity);
+        break;
+
+      case 'payment.authorized':
+        await transitionOrder(client, payload.payment.entity.order_id, 'attempted');
+        break;
+
+      case 'payment.failed': {
+        const payment = payload.payment.entity;
+        await transitionOrder(client, payment.order_id, 'failed', { payment_id: payment.id });
+        console.log('Razorpay payment failed:', payment.id, payment.error_description);
+        break;
+      }
+
+      case 'refund.processed': {
+        // Also covers refunds issued from the Razorpay dashboard
+        const refund = payload.refund.entity;
+        // Later installments are paid with their own payment, recorded on installment_payments
+        const studentResult = await client.query(
+          `SELECT id FROM students WHERE id = (
+             SELECT id FROM students WHERE payment_id = $1
+             UNION ALL
+             SELECT e.student_id FROM installment_payments i
+             JOIN installment_enrollments e ON e.id = i.enrollment_id
+             WHERE i.payment_id = $1 AND e.student_id IS NOT NULL
+             LIMIT 1
+           )
+           FOR UPDATE`,
+          [refund.payment_id]
+        );
+
+        if (studentResult.rows.length === 0) {
+          console.error('Refund webhook has no matching student:', refund.id, refund.payment_id);
+          break;
+        }
+
+        // Refunds started from /api/students/:id/refund carry the id of their row,
+        // which may not have its Razorpay id yet
+        const recordId = parseInt(refund.notes && refund.notes.refund_record_id, 10) || 0;
+        const matchedResult = await client.query(
+          `UPDATE refunds SET razorpay_refund_id = $2, amount = $3, status = 'processed', updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1 AND student_id = $4 AND (razorpay_refund_id IS NULL OR razorpay_refund_id = $2)`,
+          [recordId, refund.id, refund.amount / 100, studentResult.rows[0].id]
+        );
+
+        if (matchedResult.rowCount === 0) {
+          await client.query(
+            `INSERT INTO refunds (student_id, payment_id, razorpay_refund_id, amount, reason, status)
+             VALUES ($1, $2, $3, $4, $5, 'processed')
+             ON CONFLICT (razorpay_refund_id) DO UPDATE SET status = 'processed', updated_at = CURRENT_TIMESTAMP`,
+            [studentResult.rows[0].id, refund.payment_id, refund.id, refund.amount / 100, (refund.notes && refund.notes.reason) || null]
+          );
+        }
+
+        await updateRefundStatus(client, studentResult.rows[0].id);
+        break;
+      }
+
+      case 'refund.failed': {
+        const refund = payload.refund.entity;
+        const refundResult = await client.query(
+          `UPDATE refunds SET razorpay_refund_id = $1, status = 'failed', updated_at = CURRENT_TIMESTAMP
+           WHERE razorpay_refund_id = $1 OR (id = $2 AND razorpay_refund_id IS NULL)
+           RETURNING student_id`,
+          [refund.id, parseInt(refund.notes && refund.notes.refund_record_id, 10) || 0]
+        );
+
+        if (refundResult.rows.length > 0) {
+          await updateRefundStatus(client, refundResult.rows[0].student_id);
+        }
+        break;
+      }
+
+      default:
+        console.log('Ignoring unhandled Razorpay webhook event:', event);
+    }
+
+    await client.query('COMMIT');
+
+    res.json({ status: 'ok' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error processing Razorpay webhook:', error);
+    // A non-2xx response makes Razorpay retry the delivery
+    res.status(500).json({ status: 'error', message: 'Webhook processing error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Mark orders that were never paid as expired
+const ORDER_EXPIRY_MINUTES = parseInt(process.env.ORDER_EXPIRY_MINUTES, 10) || 60;
+
+async function expireStaleOrders() {
+  try {
+    const result = await pool.query(
+      `UPDATE orders SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+       WHERE status IN ('created', 'attempted', 'failed')
+         AND created_at < CURRENT_TIMESTAMP - ($1 || ' minutes')::interval`,
+      [ORDER_EXPIRY_MINUTES]
+    );
+
+    if (result.rowCount > 0) {
+      console.log(`Expired ${result.rowCount} unpaid orders`);
+    }
+  } catch (err) {
+    console.error('Error expiring stale orders:', err);
+  }
+}
+
+setInterval(expireStaleOrders, 5 * 60 * 1000);
+
+// Send installment reminders ahead of due dates and flag missed installments
+const INSTALLMENT_REMINDER_DAYS = parseInt(process.env.INSTALLMENT_REMINDER_DAYS, 10) || 3;
+
+async function processInstallmentReminders() {
+  try {
+    const overdueResult = await pool.query(
+      `UPDATE installment_payments i SET status = 'overdue'
+       FROM installment_enrollments e
+       WHERE e.id = i.enrollment_id AND e.status = 'active'
+         AND i.status = 'pending' AND i.due_date < CURRENT_DATE
+       RETURNING i.id`
+    );
+
+    if (overdueResult.rowCount > 0) {
+      console.log(`Marked ${overdueResult.rowCount} installments overdue`);
+    }
+
+    const dueResult = await pool.query(
+      `SELECT i.*, e.name, e.email, c.title AS course_title, e.preferred_language
+       FROM installment_payments i
+       JOIN installment_enrollments e ON e.id = i.enrollment_id
+       JOIN courses c ON c.id = e.course_id
+       WHERE e.status = 'active' AND (
+         (i.status = 'pending' AND i.reminder_sent_at IS NULL AND i.due_date <= CURRENT_DATE + $1::int)
+         OR (i.status = 'overdue' AND i.overdue_notice_sent_at IS NULL)
+       )`,
+      [INSTALLMENT_REMINDER_DAYS]
+    );
+
+    for (const installment of dueResult.rows) {
+      try {
+        await queueInstallmentReminderEmail(pool, installment);
+
+        await pool.query(
+          installment.status === 'overdue'
+            ? 'UPDATE installment_payments SET overdue_notice_sent_at = CURRENT_TIMESTAMP WHERE id = $1'
+            : 'UPDATE installment_payments SET reminder_sent_at = CURRENT_TIMESTAMP WHERE id = $1',
+          [installment.id]
+        );
+      } catch (err) {
+        console.error('Error queueing installment reminder:', installment.id, err);
+      }
+    }
+  } catch (err) {
+    console.error('Error processing installment reminders:', err);
+  }
+}
+
+setInterval(processInstallmentReminders, 60 * 60 * 1000);
+
+// Account invitations and password resets. Both email a link carrying a random
+// token; only its SHA-256 hash is stored, and a token works once before it expires.
+const USER_ROLES = ['admin', 'teacher', 'student'];
+const INVITE_TTL_HOURS = parseInt(process.env.INVITE_TTL_HOURS, 10) || 72;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const MIN_PASSWORD_LENGTH = 8;
+
+function hashAuthToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Issue a new token for a user, revoking any unused token they have for the same purpose
+async function issueAuthToken(client, userId, purpose, { createdBy, requestedIp } = {}) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const ttlMinutes = purpose === 'invite' ? INVITE_TTL_HOURS * 60 : PASSWORD_RESET_TTL_MINUTES;
+
+  await client.query(
+    `UPDATE auth_tokens SET revoked_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL AND revoked_at IS NULL`,
+    [userId, purpose]
+  );
+
+  const result = await client.query(
+    `INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at, created_by, requested_ip)
+     VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 minute', $5, $6)
+     RETURNING id, expires_at`,
+    [userId, purpose, hashAuthToken(token), ttlMinutes, createdBy || null, requestedIp || null]
+  );
+
+  return { token, ...result.rows[0] };
+}
+
+// Undo a password change that never reached Firebase: the used token and the
+// links it revoked work again until they expire
+async function restoreAuthTokens(client, tokenId, revokedIds) {
+  try {
+    await client.query('BEGIN');
+    await client.query('UPDATE auth_tokens SET used_at = NULL WHERE id = $1', [tokenId]);
+    await client.query('UPDATE auth_tokens SET revoked_at = NULL WHERE id = ANY($1::int[])', [revokedIds]);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Error restoring password link after a failed password change:', err);
+  }
+}
+
+// Issue an invitation for a user and queue the set-password email
+async function inviteUser(client, user, createdBy) {
+  const invite = await issueAuthToken(client, user.id, 'invite', { createdBy });
+
+  await queueEmail(client, 'invite', {
+    name: user.name,
+    link: `${FRONTEND_URL}/set-password?token=${invite.token}`,
+    hours: INVITE_TTL_HOURS
+  }, { to: user.email, locale: user.preferred_language });
+
+  return { id: invite.id, expires_at: invite.expires_at };
+}
+
+// Find the Firebase account for an email, creating one without a password if needed.
+// Returns { uid, created } so a failed signup can remove an account it created.
+async function ensureFirebaseUser(email, name) {
+  try {
+    const created = await firebaseAuth.createUser({ email, displayName: name });
+    return { uid: created.uid, created: true };
+  } catch (error) {
+    if (error.code !== 'auth/email-already-exists') {
+      throw error;
+    }
+    const existing = await firebaseAuth.getUserByEmail(email);
+    return { uid: existing.uid, created: false };
+  }
+}
+
+// Create a user and email them an invitation to set their password. uid links
+// an existing Firebase account; without it one is created for the email.
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+  const { name, email, role } = req.body;
+  const language = req.body.language || DEFAULT_EMAIL_LOCALE;
+
+  if (!name || !email || !role) {
+    return res.status(400).json({ error: 'All fields are required (name, email, role)' });
+  }
+
+  if (!USER_ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${USER_ROLES.join(', ')}` });
+  }
+
+  if (!EMAIL_LOCALES.includes(language)) {
+    return res.status(400).json({ error: `language must be one of: ${EMAIL_LOCALES.join(', ')}` });
+  }
+
+  const existingUserResult = await pool.query(
+    'SELECT id FROM users WHERE LOWER(email) = LOWER($1) OR uid = $2',
+    [email, req.body.uid || null]
+  );
+
+  if (existingUserResult.rows.length > 0) {
+    return res.status(409).json({ error: 'User already exists' });
+  }
+
+  let firebaseUser;
+  try {
+    firebaseUser = req.body.uid ? { uid: req.body.uid, created: false } : await ensureFirebaseUser(email, name);
+  } catch (error) {
+    console.error('Error creating Firebase account:', error);
+    return res.status(502).json({ error: 'Could not create the sign-in account' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const insertResult = await client.query(
+      `INSERT INTO users (uid, name, email, role, preferred_language)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [firebaseUser.uid, name, email, role, language]
+    );
+    const user = insertResult.rows[0];
+
+    const invite = await inviteUser(client, user, req.user.uid);
+
+    await client.query('COMMIT');
+
+    console.log('User created and invited:', { userId: user.id });
+    res.status(201).json({
+      success: true,
+      message: 'User created and invitation sent',
+      userId: user.id,
+      invite_expires_at: invite.expires_at
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+
+    if (firebaseUser.created) {
+      await firebaseAuth.deleteUser(firebaseUser.uid).catch(err =>
+        console.error('Error removing Firebase account after failed signup:', err));
+    }
+
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'User already exists' });
+    }
+    console.error('Error creating user:', error);
+    res.status(500).json({ error: 'Error creating user' });
+  } finally {
+    client.release();
+  }
+});
+
+// Send a fresh invitation to a user who has not set their password yet.
+// Any earlier invitation link stops working.
+app.post('/api/users/:id/invite', requireRole('admin'), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const userResult = await client.query(
+      'SELECT * FROM users WHERE id = $1 FOR UPDATE',
+      [parseInt(req.params.id, 10) || 0]
+    );
+    const user = userResult.rows[0];
+
+    if (!user) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.activated_at) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'User has already accepted their invitation' });
+    }
+
+    const invite = await inviteUser(client, user, req.user.uid);
+
+    await client.query('COMMIT');
+    res.json({ success: true, message: 'Invitation sent', invite_expires_at: invite.expires_at });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error resending invitation:', err);
+    res.status(500).json({ error: 'Error resending invitation' });
+  } finally {
+    client.release();
+  }
+});
+
+// Revoke a user's outstanding invitation link
+app.delete('/api/users/:id/invite', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE auth_tokens SET revoked_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND purpose = 'invite' AND used_at IS NULL AND revoked_at IS NULL
+       RETURNING id`,
+      [parseInt(req.params.id, 10) || 0]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'No pending invitation for this user' });
+    }
+
+    res.json({ success: true, message: 'Invitation revoked' });
+  } catch (err) {
+    console.error('Error revoking invitation:', err);
+    res.status(500).json({ error: 'Error revoking invitation' });
+  }
+});
+
+// Parse a list of ids sent as an array, a JSON array string or a comma-separated
+// string (multipart form fields arrive as strings)
+function parseIdList(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  let list = value;
+  if (typeof value === 'string') {
+    try {
+      list = value.trim().startsWith('[') ? JSON.parse(value) : value.split(',');
+    } catch (err) {
+      list = [];
+    }
+  }
+
+  return [...new Set((Array.isArray(list) ? list : [list])
+    .map(id => parseInt(id, 10))
+    .filter(id => !isNaN(id)))];
+}
+
+// Replace the courses a content item is attached to
+async function setContentCourses(client, contentId, courseIds) {
+  await client.query('DELETE FROM lms_content_courses WHERE content_id = $1', [contentId]);
+
+  for (const courseId of courseIds) {
+    await client.query(
+      'INSERT INTO lms_content_courses (content_id, course_id) VALUES ($1, $2)',
+      [contentId, courseId]
+    );
+  }
+}
+
+// Replace the batches a content item is attached to
+async function setContentBatches(client, contentId, batchIds) {
+  await client.query('DELETE FROM lms_content_batches WHERE content_id = $1', [contentId]);
+
+  for (const batchId of batchIds) {
+    await client.query(
+      'INSERT INTO lms_content_batches (content_id, batch_id) VALUES ($1, $2)',
+      [contentId, batchId]
+    );
+  }
+}
+
+// SQL condition for a student seeing a content item: a paid enrollment in one of
+// its courses, or in one of its batches
+function studentContentAccessSql(contentIdSql, emailParam) {
+  return `EXISTS (
+    SELECT 1 FROM students s
+    WHERE LOWER(s.email) = LOWER(${emailParam})
+      AND s.payment_status IN ('successful', 'partially_refunded')
+      AND (
+        s.course_id IN (SELECT course_id FROM lms_content_courses WHERE content_id = ${contentIdSql})
+        OR s.batch_id IN (SELECT batch_id FROM lms_content_batches WHERE content_id = ${contentIdSql})
+      )
+  )`;
+}
+
+// LMS content type for an uploaded file's mimetype
+function contentTypeForMime(mimetype) {
+  switch (mimetype) {
+    case 'image/jpeg':
+    case 'image/jpg':
+    case 'image/png':
+      return 'image';
+    case 'application/pdf':
+      return 'pdf';
+    case 'video/mp4':
+      return 'video';
+    case 'application/vnd.openxmlformats-officedocument.presentationml.presentation':
+      return 'ppt';
+    case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
+    case 'application/msword':
+      return 'word';
+    default:
+      return 'other';
+  }
+}
+
+// New endpoint for file upload to the configured storage
+app.post('/api/lms/upload', requireRole('admin', 'teacher'), upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    // The file has been stored by the active storage driver via multer
+    const { title, description } = req.body;
+    const courseIds = parseIdList(req.body.courseIds);
+    const batchIds = parseIdList(req.body.batchIds);
+    const fileUrl = req.file.path;
+
+    // Get content type based on original mimetype
+    const contentType = contentTypeForMime(req.file.mimetype);
+
+    // Store metadata in PostgreSQL
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO lms_content 
+          (title, description, content_type, file_url, storage_path, storage_driver, file_size, file_name, created_by, created_by_email) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) 
+         RETURNING id`,
+        [
+          title,
+          description,
+          contentType,
+          fileUrl,
+          req.file.filename, // Storage key, used to delete the file later
+          req.file.storage_driver,
+          req.file.size,
+          req.file.originalname,
+          req.user.uid, // Owner comes from the verified token, not the request body
+          req.user.email
+        ]
+      );
+
+      await setContentCourses(client, result.rows[0].id, courseIds);
+      await setContentBatches(client, result.rows[0].id, batchIds);
+
+      await client.query('COMMIT');
+
+      res.status(201).json({
+        success: true,
+        message: 'Content uploaded successfully',
+        contentId: result.rows[0].id,
+        fileURL: fileUrl
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error storing content metadata:', error);
+
+      // Clean up the stored file on database failure
+      await discardUploadedFile(req.file);
+
+      res.status(500).json({ error: 'Failed to store content metadata' });
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Error uploading file:', error);
+    res.status(500).json({ error: 'Error uploading file: ' + error.message });
+  }
+});
+
+// Resumable chunked uploads, for files too large or connections too slow for
+// POST /api/lms/upload:
+//   1. POST /api/lms/upload/sessions with the file details -> upload id and chunk size
+//   2. PUT /api/lms/upload/sessions/:id/chunks/:index with each chunk as the raw
+//      body and its SHA-256 in the X-Chunk-SHA256 header, in any order
+//   3. GET /api/lms/upload/sessions/:id after a dropped connection, to see which
+//      chunks arrived and resume from there
+//   4. POST /api/lms/upload/sessions/:id/finalize to assemble the file, store it
+//      and create the lms_content row
+const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024;
+const MAX_VIDEO_UPLOAD_BYTES = (parseInt(process.env.MAX_VIDEO_UPLOAD_MB, 10) || 4096) * 1024 * 1024;
+const UPLOAD_SESSION_TTL_HOURS = 24;
+const UPLOAD_TMP_DIR = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'asta-uploads');
+
+// Directory holding the chunks of an upload session
+function uploadSessionDir(sessionId) {
+  return path.join(UPLOAD_TMP_DIR, sessionId);
+}
+
+// Load an open upload session belonging to the signed-in user
+async function getUploadSession(req) {
+  const sessionId = req.params.id;
+
+  // Anything that is not a UUID cannot be a session id (and must not reach the filesystem)
+  if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(sessionId)) {
+    return null;
+  }
+
+  const result = await pool.query(
+    'SELECT * FROM upload_sessions WHERE id = $1 AND user_id = $2',
+    [sessionId, req.user.id]
+  );
+  return result.rows[0] || null;
+}
+
+// Number of chunks a session is split into
+function uploadChunkCount(session) {
+  return Math.ceil(session.total_size / session.chunk_size);
+}
+
+// Remove the chunk files of a session
+async function removeUploadSessionFiles(sessionId) {
+  try {
+    await fs.promises.rm(uploadSessionDir(sessionId), { recursive: true, force: true });
+  } catch (error) {
+    console.error(`Error removing chunks of upload ${sessionId}:`, error);
+  }
+}
+
+// Start an upload session
+app.post('/api/lms/upload/sessions', requireRole('admin', 'teacher'), async (req, res) => {
+  const { file_name, mime_type, title, description, sha256 } = req.body;
+  const totalSize = parseInt(req.body.total_size, 10);
+  const courseIds = parseIdList(req.body.courseIds);
+  const batchIds = parseIdList(req.body.batchIds);
+
+  if (!file_name || !title) {
+    return res.status(400).json({ error: 'file_name and title are required' });
+  }
+
+  if (!allowedMimeTypes.includes(mime_type)) {
+    return res.status(400).json({ error: 'Invalid file type. Only JPEG, JPG, PNG, PDF, Word, PowerPoint, or MP4 files are allowed.' });
+  }
+
+  const maxSize = mime_type === 'video/mp4' ? MAX_VIDEO_UPLOAD_BYTES : MAX_UPLOAD_BYTES;
+  if (isNaN(totalSize) || totalSize <= 0 || totalSize > maxSize) {
+    return res.status(400).json({ error: `total_size must be between 1 and ${maxSize} bytes for this file type` });
+  }
+
+  if (sha256 !== undefined && !/^[0-9a-f]{64}$/i.test(sha256)) {
+    return res.status(400).json({ error: 'sha256 must be a hex SHA-256 digest of the whole file' });
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO upload_sessions
+         (id, user_id, file_name, mime_type, total_size, chunk_size, sha256, title, description, course_ids, batch_ids)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING *`,
+      [
+        crypto.randomUUID(),
+        req.user.id,
+        String(file_name).slice(0, 255),
+        mime_type,
+        totalSize,
+        UPLOAD_CHUNK_SIZE,
+        sha256 ? sha256.toLowerCase() : null,
+        title,
+        description || '',
+        courseIds,
+        batchIds
+      ]
+    );
+    const session = result.rows[0];
+
+    await fs.promises.mkdir(uploadSessionDir(session.id), { recursive: true });
+
+    res.status(201).json({
+      upload_id: session.id,
+      chunk_size: session.chunk_size,
+      total_chunks: uploadChunkCount(session),
+      expires_at: new Date(new Date(session.created_at).getTime() + UPLOAD_SESSION_TTL_HOURS * 60 * 60 * 1000)
+    });
+  } catch (err) {
+    console.error('Error creating upload session:', err);
+    res.status(500).json({ error: 'Error creating upload session' });
+  }
+});
+
+// Upload session status, with the chunks received so far
+app.get('/api/lms/upload/sessions/:id', requireRole('admin', 'teacher'), async (req, res) => {
+  try {
+    const session = await getUploadSession(req);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    const chunksResult = await pool.query(
+      'SELECT chunk_index FROM upload_chunks WHERE session_id = $1 ORDER BY chunk_index',
+      [session.id]
+    );
+
+    res.json({
+      upload_id: session.id,
+      status: session.status,
+      content_id: session.content_id,
+      chunk_size: session.chunk_size,
+      total_chunks: uploadChunkCount(session),
+      received_chunks: chunksResult.rows.map(row => row.chunk_index)
+    });
+  } catch (err) {
+    console.error('Error fetching upload session:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Receive one chunk as the raw request body. Sending a chunk again replaces it.
+app.put('/api/lms/upload/sessions/:id/chunks/:index', requireRole('admin', 'teacher'), async (req, res) => {
+  const chunkIndex = parseInt(req.params.index, 10);
+  const expectedHash = String(req.headers['x-chunk-sha256'] || '').toLowerCase();
+
+  if (!/^[0-9a-f]{64}$/.test(expectedHash)) {
+    return res.status(400).json({ error: 'X-Chunk-SHA256 header with the hex SHA-256 of the chunk is required' });
+  }
+
+  try {
+    const session = await getUploadSession(req);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    if (session.status !== 'open') {
+      return res.status(409).json({ error: `This upload is ${session.status}` });
+    }
+
+    const totalChunks = uploadChunkCount(session);
+    if (isNaN(chunkIndex) || chunkIndex < 0 || chunkIndex >= totalChunks) {
+      return res.status(400).json({ error: `Chunk index must be between 0 and ${totalChunks - 1}` });
+    }
+
+    // Every chunk is chunk_size bytes except the last, which holds the rest
+    const expectedSize = chunkIndex === totalChunks - 1
+      ? session.total_size - session.chunk_size * (totalChunks - 1)
+      : session.chunk_size;
+
+    const chunkPath = path.join(uploadSessionDir(session.id), String(chunkIndex));
+    const partialPath = `${chunkPath}.${crypto.randomBytes(4).toString('hex')}.part`;
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    const measure = new Transform({
+      transform(data, encoding, callback) {
+        size += data.length;
+        if (size > expectedSize) {
+          return callback(new Error('CHUNK_TOO_LARGE'));
+        }
+        hash.update(data);
+        callback(null, data);
+      }
+    });
+
+    try {
+      await fs.promises.mkdir(uploadSessionDir(session.id), { recursive: true });
+      await pipeline(req, measure, fs.createWriteStream(partialPath));
+    } catch (streamError) {
+      await fs.promises.rm(partialPath, { force: true });
+      if (streamError.message === 'CHUNK_TOO_LARGE') {
+        return res.status(400).json({ error: `Chunk ${chunkIndex} must be ${expectedSize} bytes` });
+      }
+      throw streamError;
+    }
+
+    const actualHash = hash.digest('hex');
+
+    if (size !== expectedSize || actualHash !== expectedHash) {
+      await fs.promises.rm(partialPath, { force: true });
+      return res.status(422).json({
+        error: size !== expectedSize
+          ? `Chunk ${chunkIndex} must be ${expectedSize} bytes, received ${size}`
+          : `Checksum mismatch for chunk ${chunkIndex}, please send it again`
+      });
+    }
+
+    // Only a complete, verified chunk takes the final name
+    await fs.promises.rename(partialPath, chunkPath);
+
+    await pool.query(
+      `INSERT INTO upload_chunks (session_id, chunk_index, size, sha256)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (session_id, chunk_index) DO UPDATE SET
+         size = EXCLUDED.size, sha256 = EXCLUDED.sha256, received_at = CURRENT_TIMESTAMP`,
+      [session.id, chunkIndex, size, actualHash]
+    );
+    await pool.query('UPDATE upload_sessions SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [session.id]);
+
+    res.json({ upload_id: session.id, chunk_index: chunkIndex, size, sha256: actualHash });
+  } catch (err) {
+    console.error('Error receiving upload chunk:', err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Error receiving chunk' });
+    }
+  }
+});
+
+// Assemble the chunks, store the file and create the lms_content row
+app.post('/api/lms/upload/sessions/:id/finalize', requireRole('admin', 'teacher'), async (req, res) => {
+  let session;
+
+  try {
+    session = await getUploadSession(req);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    // Claim the session so a repeated finalize cannot store the file twice
+    const claimResult = await pool.query(
+      `UPDATE upload_sessions SET status = 'finalizing', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'open'
+       RETURNING id`,
+      [session.id]
+    );
+
+    if (claimResult.rows.length === 0) {
+      if (session.status === 'finalized') {
+        return res.json({ success: true, message: 'Content uploaded successfully', contentId: session.content_id });
+      }
+      return res.status(409).json({ error: `This upload is ${session.status}` });
+    }
+  } catch (err) {
+    console.error('Error finalizing upload:', err);
+    return res.status(500).json({ error: 'Error finalizing upload' });
+  }
+
+  // Put the session back to open so the client can fix the problem and retry
+  const reopen = () => pool.query(
+    "UPDATE upload_sessions SET status = 'open', updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+    [session.id]
+  );
+
+  let stored;
+
+  try {
+    const chunksResult = await pool.query(
+      'SELECT chunk_index, size FROM upload_chunks WHERE session_id = $1 ORDER BY chunk_index',
+      [session.id]
+    );
+    const totalChunks = uploadChunkCount(session);
+    const received = new Set(chunksResult.rows.map(row => row.chunk_index));
+    const missing = Array.from({ length: totalChunks }, (value, index) => index).filter(index => !received.has(index));
+
+    if (missing.length > 0) {
+      await reopen();
+      return res.status(409).json({ error: 'Some chunks have not been received', missing_chunks: missing });
+    }
+
+    // Stream the chunks in order into storage, hashing the whole file on the way
+    const fileHash = crypto.createHash('sha256');
+    const assembled = Readable.from((async function* () {
+      for (let index = 0; index < totalChunks; index++) {
+        for await (const data of fs.createReadStream(path.join(uploadSessionDir(session.id), String(index)))) {
+          fileHash.update(data);
+          yield data;
+        }
+      }
+    })());
+
+    stored = await getStorageDriver(STORAGE_DRIVER).put(assembled, {
+      folder: STORAGE_FOLDER,
+      originalname: session.file_name,
+      mimetype: session.mime_type
+    });
+    stored.driver = STORAGE_DRIVER;
+
+    if (session.sha256 && fileHash.digest('hex') !== session.sha256) {
+      await removeStoredFile(stored.driver, stored.key);
+      await reopen();
+      return res.status(422).json({ error: 'The assembled file does not match the sha256 given when the upload started' });
+    }
+  } catch (err) {
+    console.error('Error assembling upload:', err);
+    await reopen().catch(reopenError => console.error('Error reopening upload session:', reopenError));
+    return res.status(500).json({ error: 'Error storing the uploaded file' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO lms_content
+         (title, description, content_type, file_url, storage_path, storage_driver, file_size, file_name, created_by, created_by_email)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id`,
+      [
+        session.title,
+        session.description,
+        contentTypeForMime(session.mime_type),
+        stored.url,
+        stored.key,
+        stored.driver,
+        stored.size,
+        session.file_name,
+        req.user.uid,
+        req.user.email
+      ]
+    );
+    const contentId = result.rows[0].id;
+
+    await setContentCourses(client, contentId, session.course_ids);
+    await setContentBatches(client, contentId, session.batch_ids);
+    await client.query(
+      `UPDATE upload_sessions SET status = 'finalized', content_id = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [session.id, contentId]
+    );
+
+    await client.query('COMMIT');
+
+    await removeUploadSessionFiles(session.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Content uploaded successfully',
+      contentId,
+      fileURL: stored.url
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error storing content metadata:', err);
+
+    await removeStoredFile(stored.driver, stored.key)
+      .catch(cleanupError => console.error('Error cleaning up stored file:', cleanupError));
+    await reopen().catch(reopenError => console.error('Error reopening upload session:', reopenError));
+
+    res.status(500).json({ error: 'Failed to store content metadata' });
+  } finally {
+    client.release();
+  }
+});
+
+// Abandon an upload session and delete its chunks
+app.delete('/api/lms/upload/sessions/:id', requireRole('admin', 'teacher'), async (req, res) => {
+  try {
+    const session = await getUploadSession(req);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    const result = await pool.query(
+      `UPDATE upload_sessions SET status = 'aborted', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'open'
+       RETURNING id`,
+      [session.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: `This upload is ${session.status}` });
+    }
+
+    await pool.query('DELETE FROM upload_chunks WHERE session_id = $1', [session.id]);
+    await removeUploadSessionFiles(session.id);
+
+    res.json({ success: true, message: 'Upload cancelled' });
+  } catch (err) {
+    console.error('Error cancelling upload:', err);
+    res.status(500).json({ error: 'Error cancelling upload' });
+  }
+});
+
+// Abort upload sessions left unfinished (or stuck finalizing after a crash)
+// and free their disk space
+async function expireStaleUploadSessions() {
+  try {
+    const result = await pool.query(
+      `UPDATE upload_sessions SET status = 'aborted', updated_at = CURRENT_TIMESTAMP
+       WHERE status IN ('open', 'finalizing') AND updated_at < NOW() - $1 * INTERVAL '1 hour'
+       RETURNING id`,
+      [UPLOAD_SESSION_TTL_HOURS]
+    );
+
+    for (const row of result.rows) {
+      await pool.query('DELETE FROM upload_chunks WHERE session_id = $1', [row.id]);
+      await removeUploadSessionFiles(row.id);
+    }
+
+    if (result.rowCount > 0) {
+      console.log(`Expired ${result.rowCount} unfinished uploads`);
+    }
+  } catch (err) {
+    console.error('Error expiring upload sessions:', err);
+  }
+}
+
+setInterval(expireStaleUploadSessions, 60 * 60 * 1000);
+
+// Add this new endpoint near your other API routes - replaced with the new upload endpoint above
+// Add this new endpoint near your other API routes
+app.post('/api/lms/content', requireRole('admin', 'teacher'), async (req, res) => {
+  const {
+    title,
+    description,
+    fileUrl,  // Changed from fileURL to fileUrl to match frontend
+    fileName,
+    fileSize,
+    contentType,
+    fileType,
+    createdAt,
+    firebaseId
+  } = req.body;
+  const courseIds = parseIdList(req.body.courseIds);
+  const batchIds = parseIdList(req.body.batchIds);
+
+  // Validate required fields
+  const requiredFields = ['title', 'fileUrl', 'contentType', 'firebaseId'];
+  const missingFields = requiredFields.filter(field => !req.body[field]);
+
+  if (missingFields.length > 0) {
+    return res.status(400).json({
+      error: `Missing required fields: ${missingFields.join(', ')}`
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO lms_content 
+        (title, description, content_type, file_url, storage_path, storage_driver, file_size, file_name, created_by, created_by_email, firebase_id) 
+       VALUES ($1, $2, $3, $4, $5, 'external', $6, $7, $8, $9, $10) 
+       RETURNING id`,
+      [
+        title,
+        description || '',
+        contentType,
+        fileUrl,          // Changed from fileURL to fileUrl
+        fileUrl,          // Stored in Firebase by the frontend, so we never delete it
+        fileSize || 0,
+        fileName || '',
+        req.user.uid, // Owner comes from the verified token, not the request body
+        req.user.email,
+        firebaseId
+      ]
+    );
+
+    await setContentCourses(client, result.rows[0].id, courseIds);
+    await setContentBatches(client, result.rows[0].id, batchIds);
+
+    await client.query('COMMIT');
+
+    console.log('Content uploaded successfully:', result.rows[0]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Content uploaded successfully',
+      contentId: result.rows[0].id
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error storing content metadata:', error);
+    res.status(500).json({ error: 'Failed to store content metadata: ' + error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Add endpoint to retrieve content
+app.get('/api/lms/content', requireRole('admin', 'teacher', 'student'), async (req, res) => {
+  const { course_id, batch_id, content_type } = req.query;
+  const conditions = [];
+  const params = [];
+
+  // Students only see content for courses and batches they have paid for
+  if (req.user.role === 'student') {
+    params.push(req.user.email);
+    conditions.push(studentContentAccessSql('c.id', `$${params.length}`));
+  }
+
+  if (course_id) {
+    params.push(parseInt(course_id, 10) || 0);
+    conditions.push(`EXISTS (
+      SELECT 1 FROM lms_content_courses lcc WHERE lcc.content_id = c.id AND lcc.course_id = $${params.length}
+    )`);
+  }
+
+  if (batch_id) {
+    params.push(parseInt(batch_id, 10) || 0);
+    conditions.push(`EXISTS (
+      SELECT 1 FROM lms_content_batches lcb WHERE lcb.content_id = c.id AND lcb.batch_id = $${params.length}
+    )`);
+  }
+
+  if (content_type) {
+    params.push(content_type);
+    conditions.push(`c.content_type = $${params.length}`);
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT c.*,
+         COALESCE(ARRAY(SELECT course_id FROM lms_content_courses WHERE content_id = c.id ORDER BY course_id), '{}') AS course_ids,
+         COALESCE(ARRAY(SELECT batch_id FROM lms_content_batches WHERE content_id = c.id ORDER BY batch_id), '{}') AS batch_ids
+       FROM lms_content c
+       ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+       ORDER BY c.created_at DESC`,
+      params
+    );
+
+    // Students open files through /api/lms/content/:id/access, never a stored URL
+    if (req.user.role === 'student') {
+      return res.json(result.rows.map(({ file_url, storage_path, storage_driver, ...content }) => content));
+    }
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching LMS content:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Content access settings
+const CONTENT_URL_TTL_SECONDS = parseInt(process.env.CONTENT_URL_TTL_SECONDS, 10) || 300;
+
+// Per-student caps, 0 to disable: links or streams per rolling 24 hours, and
+// streams open at the same time
+const CONTENT_DAILY_ACCESS_LIMIT = parseInt(process.env.CONTENT_DAILY_ACCESS_LIMIT || '100', 10);
+const CONTENT_CONCURRENT_STREAM_LIMIT = parseInt(process.env.CONTENT_CONCURRENT_STREAM_LIMIT || '2', 10);
+
+// Streams in progress per user id (this process only)
+const activeContentStreams = new Map();
+
+// Short-lived link to a stored file. Files we do not manage (e.g. uploaded
+// straight to Firebase) can only be given out as their stored URL.
+async function createFileAccessUrl(driverName, key, fallbackUrl) {
+  const driver = getStorageDriver(driverName);
+
+  if (!driver) {
+    return { url: fallbackUrl, expires_at: null };
+  }
+
+  return {
+    url: await driver.signedUrl(key, { expiresIn: CONTENT_URL_TTL_SECONDS }),
+    expires_at: new Date(Date.now() + CONTENT_URL_TTL_SECONDS * 1000)
+  };
+}
+
+// Open a stored file as a stream
+async function openStoredFile(driverName, key, fallbackUrl) {
+  const driver = getStorageDriver(driverName);
+  return driver ? driver.open(key) : openUrl(fallbackUrl);
+}
+
+// Content type to send when the storage does not report one
+const CONTENT_TYPE_MIME_TYPES = {
+  image: 'image/jpeg',
+  pdf: 'application/pdf',
+  video: 'video/mp4',
+  ppt: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  word: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+// Content-Disposition for a user-supplied file name. Header values must be
+// Latin-1, so the plain filename gets an ASCII fallback and the real name goes
+// in filename* (RFC 6266), which browsers prefer.
+function contentDisposition(type, fileName) {
+  const fallback = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '');
+  const encoded = encodeURIComponent(fileName).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+// Get access to a content item: a short-lived signed URL, or with ?mode=stream
+// the file itself streamed through the API. Checks enrollment, applies the
+// per-student caps and logs every access.
+app.get('/api/lms/content/:id/access', requireRole('admin', 'teacher', 'student'), async (req, res) => {
+  const contentId = parseInt(req.params.id, 10) || 0;
+  const mode = req.query.mode === 'stream' ? 'stream' : 'url';
+  const isStudent = req.user.role === 'student';
+
+  try {
+    const contentResult = await pool.query('SELECT * FROM lms_content WHERE id = $1', [contentId]);
+    const content = contentResult.rows[0];
+
+    if (!content) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+
+    if (!(await canAccessContent(req.user, contentId))) {
+      return res.status(403).json({ error: 'You are not enrolled in a course with this content' });
+    }
+
+    if (isStudent && CONTENT_DAILY_ACCESS_LIMIT > 0) {
+      const countResult = await pool.query(
+        `SELECT COUNT(*)::int AS count FROM content_access_log
+         WHERE user_id = $1 AND accessed_at > NOW() - INTERVAL '24 hours'`,
+        [req.user.id]
+      );
+
+      if (countResult.rows[0].count >= CONTENT_DAILY_ACCESS_LIMIT) {
+        return res.status(429).json({ error: 'You have reached the daily download limit, please try again later' });
+      }
+    }
+
+    const activeStreams = activeContentStreams.get(req.user.id) || 0;
+    if (isStudent && mode === 'stream' && CONTENT_CONCURRENT_STREAM_LIMIT > 0 &&
+        activeStreams >= CONTENT_CONCURRENT_STREAM_LIMIT) {
+      return res.status(429).json({ error: 'Too many downloads in progress, please wait for one to finish' });
+    }
+
+    // Count the stream as active until the response ends, however it ends
+    if (mode === 'stream') {
+      activeContentStreams.set(req.user.id, activeStreams + 1);
+      res.on('close', () => {
+        const remaining = (activeContentStreams.get(req.user.id) || 1) - 1;
+        if (remaining > 0) {
+          activeContentStreams.set(req.user.id, remaining);
+        } else {
+          activeContentStreams.delete(req.user.id);
+        }
+      });
+    }
+
+    await pool.query(
+      `INSERT INTO content_access_log (content_id, user_id, mode, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [contentId, req.user.id, mode, getClientIp(req), req.headers['user-agent'] || null]
+    );
+
+    if (mode === 'url') {
+      const access = await createFileAccessUrl(content.storage_driver, content.storage_path, content.file_url);
+      return res.json({ content_id: contentId, ...access });
+    }
+
+    const file = await openStoredFile(content.storage_driver, content.storage_path, content.file_url);
+
+    res.setHeader('Content-Type', file.contentType || CONTENT_TYPE_MIME_TYPES[content.content_type] || 'application/octet-stream');
+    res.setHeader('Content-Disposition', contentDisposition('inline', content.file_name || `content-${contentId}`));
+    res.setHeader('Cache-Control', 'private, no-store');
+    if (file.size) {
+      res.setHeader('Content-Length', file.size);
+    }
+
+    file.stream.on('error', streamError => {
+      console.error('Error streaming content:', streamError);
+      res.destroy(streamError);
+    });
+    file.stream.pipe(res);
+  } catch (err) {
+    console.error('Error providing content access:', err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Error accessing content' });
+    }
+  }
+});
+
+// Access log of a content item, newest first (?limit, default 200)
+app.get('/api/lms/content/:id/access-log', requireRole('admin'), async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 200, 1000);
+
+  try {
+    const result = await pool.query(
+      `SELECT l.id, l.mode, l.ip_address, l.user_agent, l.accessed_at, u.id AS user_id, u.name, u.email
+       FROM content_access_log l
+       JOIN users u ON u.id = l.user_id
+       WHERE l.content_id = $1
+       ORDER BY l.accessed_at DESC
+       LIMIT $2`,
+      [parseInt(req.params.id, 10) || 0, limit]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching content access log:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Heaviest content users over the last ?days (default 1), to spot shared
+// accounts or scraping: many accesses, many items or many IP addresses
+app.get('/api/lms/access-report', requireRole('admin'), async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 1, 1), 90);
+
+  try {
+    const result = await pool.query(
+      `SELECT u.id AS user_id, u.name, u.email, u.role,
+         COUNT(*)::int AS accesses,
+         COUNT(DISTINCT l.content_id)::int AS distinct_content,
+         COUNT(DISTINCT l.ip_address)::int AS distinct_ips,
+         MAX(l.accessed_at) AS last_access
+       FROM content_access_log l
+       JOIN users u ON u.id = l.user_id
+       WHERE l.accessed_at > NOW() - $1 * INTERVAL '1 day'
+       GROUP BY u.id
+       ORDER BY accesses DESC
+       LIMIT 100`,
+      [days]
+    );
+    res.json({ days, users: result.rows });
+  } catch (err) {
+    console.error('Error building access report:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Change which courses a content item is attached to
+app.put('/api/lms/content/:id/courses', requireRole('admin', 'teacher'), async (req, res) => {
+  const contentId = parseInt(req.params.id, 10) || 0;
+  const courseIds = parseIdList(req.body.courseIds);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const contentResult = await client.query(
+      'SELECT created_by FROM lms_content WHERE id = $1 FOR UPDATE',
+      [contentId]
+    );
+
+    if (contentResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Content not found' });
+    }
+
+    // Teachers may only change content they uploaded
+    if (req.user.role === 'teacher' && contentResult.rows[0].created_by !== req.user.uid) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+
+    await setContentCourses(client, contentId, courseIds);
+
+    await client.query('COMMIT');
+
+    res.json({ success: true, contentId, courseIds });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'One or more courseIds do not exist' });
+    }
+    console.error('Error updating content courses:', error);
+    res.status(500).json({ error: 'Error updating content courses' });
+  } finally {
+    client.release();
+  }
+});
+
+// Change which batches a content item is attached to
+app.put('/api/lms/content/:id/batches', requireRole('admin', 'teacher'), async (req, res) => {
+  const contentId = parseInt(req.params.id, 10) || 0;
+  const batchIds = parseIdList(req.body.batchIds);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const contentResult = await client.query(
+      'SELECT created_by FROM lms_content WHERE id = $1 FOR UPDATE',
+      [contentId]
+    );
+
+    if (contentResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Content not found' });
+    }
+
+    // Teachers may only change content they uploaded
+    if (req.user.role === 'teacher' && contentResult.rows[0].created_by !== req.user.uid) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+
+    await setContentBatches(client, contentId, batchIds);
+
+    await client.query('COMMIT');
+
+    res.json({ success: true, contentId, batchIds });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'One or more batchIds do not exist' });
+    }
+    console.error('Error updating content batches:', error);
+    res.status(500).json({ error: 'Error updating content batches' });
+  } finally {
+    client.release();
+  }
+});
+
+// Curriculum helpers
+const PUBLISH_STATUSES = ['draft', 'scheduled', 'published'];
+
+// SQL condition for a module or lesson row (by alias) that students can see.
+// Scheduled items become visible once publish_at has passed - no job needed.
+function publishedCondition(alias) {
+  return `(${alias}.status = 'published' OR (${alias}.status = 'scheduled' AND ${alias}.publish_at <= CURRENT_TIMESTAMP))`;
+}
+
+// Validate title/description/status/publish_at for a module or lesson.
+// With partial = true only the fields present in the body are checked.
+function validateCurriculumInput(body, partial = false) {
+  const errors = [];
+  const values = {};
+
+  if (body.title !== undefined || !partial) {
+    if (!body.title || String(body.title).trim().length === 0 || String(body.title).length > 255) {
+      errors.push('title is required and must be at most 255 characters');
+    } else {
+      values.title = String(body.title).trim();
+    }
+  }
+
+  if (body.description !== undefined) {
+    values.description = body.description || '';
+  }
+
+  if (body.status !== undefined) {
+    if (!PUBLISH_STATUSES.includes(body.status)) {
+      errors.push(`status must be one of ${PUBLISH_STATUSES.join(', ')}`);
+    } else {
+      values.status = body.status;
+    }
+  }
+
+  if (body.publish_at !== undefined) {
+    const publishAt = body.publish_at ? new Date(body.publish_at) : null;
+    if (publishAt !== null && isNaN(publishAt.getTime())) {
+      errors.push('publish_at must be a valid date');
+    } else {
+      values.publish_at = publishAt;
+    }
+  }
+
+  if (values.status === 'scheduled' && !values.publish_at) {
+    errors.push('publish_at is required when status is scheduled');
+  }
+
+  return { errors, values };
+}
+
+// Check whether a user has a paid enrollment in a course
+async function isEnrolledInCourse(user, courseId) {
+  const result = await pool.query(
+    `SELECT 1 FROM students
+     WHERE course_id = $1 AND LOWER(email) = LOWER($2)
+       AND payment_status IN ('successful', 'partially_refunded')
+     LIMIT 1`,
+    [courseId, user.email]
+  );
+  return result.rows.length > 0;
+}
+
+// Course a lesson belongs to, or null when the lesson does not exist
+async function getLessonCourseId(lessonId) {
+  const result = await pool.query(
+    'SELECT m.course_id FROM lessons l JOIN course_modules m ON m.id = l.module_id WHERE l.id = $1',
+    [lessonId]
+  );
+  return result.rows.length > 0 ? result.rows[0].course_id : null;
+}
+
+// Course a module belongs to, or null when the module does not exist
+async function getModuleCourseId(moduleId) {
+  const result = await pool.query('SELECT course_id FROM course_modules WHERE id = $1', [moduleId]);
+  return result.rows.length > 0 ? result.rows[0].course_id : null;
+}
+
+// Teachers may only change courses they teach a batch of; admins any course
+async function canManageCourse(user, courseId) {
+  if (user.role !== 'teacher') {
+    return true;
+  }
+
+  const result = await pool.query(
+    `SELECT 1 FROM batches b
+     JOIN batch_teachers bt ON bt.batch_id = b.id
+     WHERE b.course_id = $1 AND bt.user_id = $2
+     LIMIT 1`,
+    [courseId, user.id]
+  );
+  return result.rows.length > 0;
+}
+
+// Check the user may change a course, e.g. one looked up from a module or lesson
+// (null when that does not exist). Returns {} or { error, status }.
+async function authorizeCourse(user, courseId, notFoundError = 'Course not found') {
+  if (!courseId) {
+    return { error: notFoundError, status: 404 };
+  }
+
+  if (!(await canManageCourse(user, courseId))) {
+    return { error: 'You do not have permission to perform this action', status: 403 };
+  }
+
+  return {};
+}
+
+// Replace the content items of a lesson, keeping their order, and make sure each
+// item is attached to the lesson's course so enrolled students can open it
+async function setLessonContent(client, lessonId, contentIds) {
+  await client.query('DELETE FROM lesson_content WHERE lesson_id = $1', [lessonId]);
+
+  for (const [position, contentId] of contentIds.entries()) {
+    await client.query(
+      'INSERT INTO lesson_content (lesson_id, content_id, position) VALUES ($1, $2, $3)',
+      [lessonId, contentId, position]
+    );
+  }
+
+  await client.query(
+    `INSERT INTO lms_content_courses (content_id, course_id)
+     SELECT lc.content_id, m.course_id
+     FROM lesson_content lc
+     JOIN lessons l ON l.id = lc.lesson_id
+     JOIN course_modules m ON m.id = l.module_id
+     WHERE lc.lesson_id = $1
+     ON CONFLICT DO NOTHING`,
+    [lessonId]
+  );
+}
+
+// Set positions to match the given id order. The ids must be exactly the
+// current children of the parent. Returns false when they are not.
+async function reorderRows(client, table, parentColumn, parentId, orderedIds) {
+  const existing = await client.query(
+    `SELECT id FROM ${table} WHERE ${parentColumn} = $1 FOR UPDATE`,
+    [parentId]
+  );
+  const existingIds = existing.rows.map(row => row.id).sort((a, b) => a - b);
+  const requestedIds = [...orderedIds].sort((a, b) => a - b);
+
+  if (existingIds.length !== requestedIds.length || existingIds.some((id, index) => id !== requestedIds[index])) {
+    return false;
+  }
+
+  for (const [position, id] of orderedIds.entries()) {
+    await client.query(
+      `UPDATE ${table} SET position = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [id, position]
+    );
+  }
+
+  return true;
+}
+
+// Full curriculum tree for a course. Students get only published modules and lessons.
+app.get('/api/courses/:id/curriculum', requireRole('admin', 'teacher', 'student'), async (req, res) => {
+  const courseId = parseInt(req.params.id, 10) || 0;
+  const isStudent = req.user.role === 'student';
+
+  try {
+    const courseResult = await pool.query('SELECT id, slug, title, description FROM courses WHERE id = $1', [courseId]);
+
+    if (courseResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    if (isStudent && !(await isEnrolledInCourse(req.user, courseId))) {
+      return res.status(403).json({ error: 'You are not enrolled in this course' });
+    }
+
+    const modulesResult = await pool.query(
+      `SELECT m.* FROM course_modules m
+       WHERE m.course_id = $1 ${isStudent ? 'AND ' + publishedCondition('m') : ''}
+       ORDER BY m.position, m.id`,
+      [courseId]
+    );
+
+    const lessonsResult = await pool.query(
+      `SELECT l.* FROM lessons l
+       JOIN course_modules m ON m.id = l.module_id
+       WHERE m.course_id = $1 ${isStudent ? 'AND ' + publishedCondition('l') : ''}
+       ORDER BY l.position, l.id`,
+      [courseId]
+    );
+
+    const contentResult = await pool.query(
+      `SELECT lc.lesson_id, lc.position, c.id, c.title, c.description, c.content_type, c.file_name, c.file_size
+       FROM lesson_content lc
+       JOIN lms_content c ON c.id = lc.content_id
+       JOIN lessons l ON l.id = lc.lesson_id
+       JOIN course_modules m ON m.id = l.module_id
+       WHERE m.course_id = $1
+       ORDER BY lc.position`,
+      [courseId]
+    );
+
+    const lessonsByModule = {};
+    for (const lesson of lessonsResult.rows) {
+      lesson.content = contentResult.rows
+        .filter(item => item.lesson_id === lesson.id)
+        .map(({ lesson_id, position, ...item }) => item);
+      (lessonsByModule[lesson.module_id] = lessonsByModule[lesson.module_id] || []).push(lesson);
+    }
+
+    res.json({
+      ...courseResult.rows[0],
+      modules: modulesResult.rows.map(module => ({
+        ...module,
+        lessons: lessonsByModule[module.id] || []
+      }))
+    });
+  } catch (err) {
+    console.error('Error fetching curriculum:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create a module at the end of a course
+app.post('/api/courses/:id/modules', requireRole('admin', 'teacher'), async (req, res) => {
+  const { errors, values } = validateCurriculumInput(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(', ') });
+  }
+
+  const courseId = parseInt(req.params.id, 10) || 0;
+
+  try {
+    const { error, status } = await authorizeCourse(req.user, courseId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO course_modules (course_id, title, description, status, publish_at, position)
+       VALUES ($1, $2, $3, $4, $5, (SELECT COALESCE(MAX(position), -1) + 1 FROM course_modules WHERE course_id = $1))
+       RETURNING *`,
+      [
+        courseId,
+        values.title,
+        values.description || '',
+        values.status || 'draft',
+        values.publish_at || null
+      ]
+    );
+
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23503') {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    console.error('Error creating module:', err);
+    res.status(500).json({ error: 'Error creating module' });
+  }
+});
+
+// Update a module (title, description, status, publish_at)
+app.put('/api/modules/:id', requireRole('admin', 'teacher'), async (req, res) => {
+  const { errors, values } = validateCurriculumInput(req.body, true);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(', ') });
+  }
+
+  const fields = Object.keys(values);
+  if (fields.length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  const moduleId = parseInt(req.params.id, 10) || 0;
+  const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+
+  try {
+    const { error, status } = await authorizeCourse(req.user, await getModuleCourseId(moduleId), 'Module not found');
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const result = await pool.query(
+      `UPDATE course_modules SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [moduleId, ...fields.map(field => values[field])]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Module not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23514') {
+      return res.status(400).json({ error: 'publish_at is required when status is scheduled' });
+    }
+    console.error('Error updating module:', err);
+    res.status(500).json({ error: 'Error updating module' });
+  }
+});
+
+// Delete a module and its lessons
+app.delete('/api/modules/:id', requireRole('admin', 'teacher'), async (req, res) => {
+  const moduleId = parseInt(req.params.id, 10) || 0;
+
+  try {
+    const { error, status } = await authorizeCourse(req.user, await getModuleCourseId(moduleId), 'Module not found');
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM course_modules WHERE id = $1 RETURNING id',
+      [moduleId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Module not found' });
+    }
+
+    res.json({ success: true, message: 'Module deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting module:', err);
+    res.status(500).json({ error: 'Error deleting module' });
+  }
+});
+
+// Reorder the modules of a course ({ moduleIds: [...] } in the new order)
+app.put('/api/courses/:id/modules/reorder', requireRole('admin', 'teacher'), async (req, res) => {
+  const courseId = parseInt(req.params.id, 10) || 0;
+  const moduleIds = parseIdList(req.body.moduleIds);
+  const client = await pool.connect();
+
+  try {
+    const { error, status } = await authorizeCourse(req.user, courseId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    await client.query('BEGIN');
+
+    const reordered = await reorderRows(client, 'course_modules', 'course_id', courseId, moduleIds);
+
+    if (!reordered) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'moduleIds must list every module of the course exactly once' });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({ success: true, moduleIds });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error reordering modules:', err);
+    res.status(500).json({ error: 'Error reordering modules' });
+  } finally {
+    client.release();
+  }
+});
+
+// Create a lesson at the end of a module
+app.post('/api/modules/:id/lessons', requireRole('admin', 'teacher'), async (req, res) => {
+  const { errors, values } = validateCurriculumInput(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(', ') });
+  }
+
+  const moduleId = parseInt(req.params.id, 10) || 0;
+  const contentIds = parseIdList(req.body.contentIds);
+  const client = await pool.connect();
+
+  try {
+    const { error, status } = await authorizeCourse(req.user, await getModuleCourseId(moduleId), 'Module not found');
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO lessons (module_id, title, description, status, publish_at, position)
+       VALUES ($1, $2, $3, $4, $5, (SELECT COALESCE(MAX(position), -1) + 1 FROM lessons WHERE module_id = $1))
+       RETURNING *`,
+      [
+        moduleId,
+        values.title,
+        values.description || '',
+        values.status || 'draft',
+        values.publish_at || null
+      ]
+    );
+    const lesson = result.rows[0];
+
+    await setLessonContent(client, lesson.id, contentIds);
+
+    await client.query('COMMIT');
+
+    res.status(201).json({ ...lesson, contentIds });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23503') {
+      return res.status(400).json({ error: 'One or more content items not found' });
+    }
+    console.error('Error creating lesson:', err);
+    res.status(500).json({ error: 'Error creating lesson' });
+  } finally {
+    client.release();
+  }
+});
+
+// Update a lesson, optionally replacing its content items ({ contentIds: [...] })
+app.put('/api/lessons/:id', requireRole('admin', 'teacher'), async (req, res) => {
+  const { errors, values } = validateCurriculumInput(req.body, true);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(', ') });
+  }
+
+  const fields = Object.keys(values);
+  const hasContent = req.body.contentIds !== undefined;
+
+  if (fields.length === 0 && !hasContent) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  const lessonId = parseInt(req.params.id, 10) || 0;
+  const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+  const client = await pool.connect();
+
+  try {
+    const { error, status } = await authorizeCourse(req.user, await getLessonCourseId(lessonId), 'Lesson not found');
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE lessons SET ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+       WHERE id = $1
+       RETURNING *`,
+      [lessonId, ...fields.map(field => values[field])]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Lesson not found' });
+    }
+
+    if (hasContent) {
+      await setLessonContent(client, lessonId, parseIdList(req.body.contentIds));
+    }
+
+    await client.query('COMMIT');
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23503') {
+      return res.status(400).json({ error: 'One or more content items not found' });
+    }
+    if (err.code === '23514') {
+      return res.status(400).json({ error: 'publish_at is required when status is scheduled' });
+    }
+    console.error('Error updating lesson:', err);
+    res.status(500).json({ error: 'Error updating lesson' });
+  } finally {
+    client.release();
+  }
+});
+
+// Delete a lesson
+app.delete('/api/lessons/:id', requireRole('admin', 'teacher'), async (req, res) => {
+  const lessonId = parseInt(req.params.id, 10) || 0;
+
+  try {
+    const { error, status } = await authorizeCourse(req.user, await getLessonCourseId(lessonId), 'Lesson not found');
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM lessons WHERE id = $1 RETURNING id',
+      [lessonId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Lesson not found' });
+    }
+
+    res.json({ success: true, message: 'Lesson deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting lesson:', err);
+    res.status(500).json({ error: 'Error deleting lesson' });
+  }
+});
+
+// Reorder the lessons of a module ({ lessonIds: [...] } in the new order)
+app.put('/api/modules/:id/lessons/reorder', requireRole('admin', 'teacher'), async (req, res) => {
+  const moduleId = parseInt(req.params.id, 10) || 0;
+  const lessonIds = parseIdList(req.body.lessonIds);
+  const client = await pool.connect();
+
+  try {
+    const { error, status } = await authorizeCourse(req.user, await getModuleCourseId(moduleId), 'Module not found');
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    await client.query('BEGIN');
+
+    const reordered = await reorderRows(client, 'lessons', 'module_id', moduleId, lessonIds);
+
+    if (!reordered) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'lessonIds must list every lesson of the module exactly once' });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({ success: true, lessonIds });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error reordering lessons:', err);
+    res.status(500).json({ error: 'Error reordering lessons' });
+  } finally {
+    client.release();
+  }
+});
+
+// Check whether a user may open a content item. Staff see everything; students
+// need a paid enrollment in one of the item's courses or batches.
+async function canAccessContent(user, contentId) {
+  if (user.role !== 'student') {
+    return true;
+  }
+
+  const result = await pool.query(
+    `SELECT ${studentContentAccessSql('$1::int', '$2')} AS allowed`,
+    [contentId, user.email]
+  );
+  return result.rows[0].allowed;
+}
+
+// SQL for the content items that count towards a course's progress:
+// everything in published lessons of published modules
+function courseProgressItemsSql(courseParam) {
+  return `
+    SELECT DISTINCT lc.content_id, l.id AS lesson_id
+    FROM lesson_content lc
+    JOIN lessons l ON l.id = lc.lesson_id
+    JOIN course_modules m ON m.id = l.module_id
+    WHERE m.course_id = ${courseParam} AND ${publishedCondition('m')} AND ${publishedCondition('l')}
+  `;
+}
+
+// Percentage helper - an empty lesson or course counts as 0%
+function completionPercentage(completed, total) {
+  return total > 0 ? Math.round(completed / total * 1000) / 10 : 0;
+}
+
+// Record progress on a content item ({ opened, completed, position, duration }).
+// position and duration are in seconds and only kept for video items.
+app.post('/api/lms/content/:id/progress', authenticate, async (req, res) => {
+  const contentId = parseInt(req.params.id, 10) || 0;
+  const { opened, completed, position, duration } = req.body;
+
+  const positionSeconds = position !== undefined ? parseInt(position, 10) : null;
+  const durationSeconds = duration !== undefined ? parseInt(duration, 10) : null;
+
+  if ((positionSeconds !== null && (isNaN(positionSeconds) || positionSeconds < 0)) ||
+      (durationSeconds !== null && (isNaN(durationSeconds) || durationSeconds < 0))) {
+    return res.status(400).json({ error: 'position and duration must be non-negative numbers of seconds' });
+  }
+
+  try {
+    const contentResult = await pool.query('SELECT id, content_type FROM lms_content WHERE id = $1', [contentId]);
+
+    if (contentResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+
+    if (!(await canAccessContent(req.user, contentId))) {
+      return res.status(403).json({ error: 'You are not enrolled in a course with this content' });
+    }
+
+    const isVideo = contentResult.rows[0].content_type === 'video';
+
+    // Reporting position or completion implies the item was opened.
+    // Completion is sticky: a later report without completed does not undo it.
+    const result = await pool.query(
+      `INSERT INTO content_progress
+         (user_id, content_id, opened_at, completed_at, last_position_seconds, duration_seconds)
+       VALUES ($1, $2, CURRENT_TIMESTAMP, CASE WHEN $3 THEN CURRENT_TIMESTAMP END, $4, $5)
+       ON CONFLICT (user_id, content_id) DO UPDATE SET
+         opened_at = COALESCE(content_progress.opened_at, EXCLUDED.opened_at),
+         completed_at = COALESCE(content_progress.completed_at, EXCLUDED.completed_at),
+         last_position_seconds = COALESCE(EXCLUDED.last_position_seconds, content_progress.last_position_seconds),
+         duration_seconds = COALESCE(EXCLUDED.duration_seconds, content_progress.duration_seconds),
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [
+        req.user.id,
+        contentId,
+        Boolean(completed),
+        isVideo ? positionSeconds : null,
+        isVideo ? durationSeconds : null
+      ]
+    );
+
+    res.json(result.rows[0]);
+
+    if (result.rows[0].completed_at) {
+      checkCourseCompletionLater(req.user, pool.query(
+        'SELECT course_id FROM lms_content_courses WHERE content_id = $1',
+        [contentId]
+      ).then(coursesResult => coursesResult.rows.map(row => row.course_id)));
+    }
+  } catch (err) {
+    console.error('Error recording progress:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// The signed-in user's progress in a course, per lesson and overall
+app.get('/api/courses/:id/progress', authenticate, async (req, res) => {
+  const courseId = parseInt(req.params.id, 10) || 0;
+
+  try {
+    if (req.user.role === 'student' && !(await isEnrolledInCourse(req.user, courseId))) {
+      return res.status(403).json({ error: 'You are not enrolled in this course' });
+    }
+
+    const result = await pool.query(
+      `WITH items AS (${courseProgressItemsSql('$1')})
+       SELECT l.id AS lesson_id, l.title, m.id AS module_id,
+         COUNT(i.content_id)::int AS total_items,
+         COUNT(cp.completed_at)::int AS completed_items,
+         COUNT(cp.opened_at)::int AS opened_items
+       FROM items i
+       JOIN lessons l ON l.id = i.lesson_id
+       JOIN course_modules m ON m.id = l.module_id
+       LEFT JOIN content_progress cp ON cp.content_id = i.content_id AND cp.user_id = $2
+       GROUP BY l.id, m.id
+       ORDER BY m.position, l.position`,
+      [courseId, req.user.id]
+    );
+
+    // A content item may appear in several lessons but counts once for the course
+    const courseResult = await pool.query(
+      `WITH items AS (SELECT DISTINCT content_id FROM (${courseProgressItemsSql('$1')}) course_items)
+       SELECT COUNT(*)::int AS total_items, COUNT(cp.completed_at)::int AS completed_items
+       FROM items i
+       LEFT JOIN content_progress cp ON cp.content_id = i.content_id AND cp.user_id = $2`,
+      [courseId, req.user.id]
+    );
+    const { total_items, completed_items } = courseResult.rows[0];
+
+    res.json({
+      course_id: courseId,
+      total_items,
+      completed_items,
+      completion_percentage: completionPercentage(completed_items, total_items),
+      lessons: result.rows.map(lesson => ({
+        ...lesson,
+        completion_percentage: completionPercentage(lesson.completed_items, lesson.total_items)
+      }))
+    });
+  } catch (err) {
+    console.error('Error fetching course progress:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Progress of every enrolled student in a course (?batch_id to limit to one batch, ?format=xlsx to download).
+// Teachers must name one of their own batches.
+app.get('/api/courses/:id/progress/report', requireRole('admin', 'teacher'), async (req, res) => {
+  const courseId = parseInt(req.params.id, 10) || 0;
+  const batchId = req.query.batch_id ? parseInt(req.query.batch_id, 10) || 0 : null;
+
+  if (req.user.role === 'teacher' && batchId === null) {
+    return res.status(400).json({ error: 'batch_id is required' });
+  }
+
+  try {
+    if (batchId !== null && !(await canManageBatch(req.user, batchId))) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+
+    const result = await pool.query(
+      `WITH items AS (SELECT DISTINCT content_id FROM (${courseProgressItemsSql('$1')}) course_items)
+       SELECT s.id AS student_id, s.name, s.email,
+         (SELECT COUNT(*) FROM items)::int AS total_items,
+         COUNT(cp.opened_at)::int AS opened_items,
+         COUNT(cp.completed_at)::int AS completed_items,
+         MAX(cp.updated_at) AS last_activity
+       FROM students s
+       LEFT JOIN users u ON LOWER(u.email) = LOWER(s.email)
+       LEFT JOIN content_progress cp ON cp.user_id = u.id AND cp.content_id IN (SELECT content_id FROM items)
+       WHERE s.course_id = $1 AND s.payment_status IN ('successful', 'partially_refunded')
+         ${batchId !== null ? 'AND s.batch_id = $2' : ''}
+       GROUP BY s.id
+       ORDER BY s.name`,
+      batchId !== null ? [courseId, batchId] : [courseId]
+    );
+
+    const report = result.rows.map(row => ({
+      ...row,
+      completion_percentage: completionPercentage(row.completed_items, row.total_items)
+    }));
+
+    if (req.query.format !== 'xlsx') {
+      return res.json(report);
+    }
+
+    const worksheet = xlsx.utils.json_to_sheet(report.map(row => ({
+      'Student ID': row.student_id,
+      Name: row.name,
+      Email: row.email,
+      'Items Opened': row.opened_items,
+      'Items Completed': row.completed_items,
+      'Total Items': row.total_items,
+      'Completion %': row.completion_percentage,
+      'Last Activity': row.last_activity ? new Date(row.last_activity).toLocaleString() : 'Never'
+    })));
+
+    sendWorksheet(res, worksheet, 'Progress', `course-${courseId}-progress.xlsx`);
+  } catch (err) {
+    console.error('Error building progress report:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Quiz helpers
+const QUESTION_TYPES = ['single_choice', 'multiple_choice', 'true_false', 'fill_blank', 'ordering'];
+
+// Seconds allowed after a time limit for the submission to reach us
+const QUIZ_SUBMIT_GRACE_SECONDS = 30;
+
+// Validate one authored question and normalise its answer key.
+// correct_answer is an option index (single_choice), an array of option indexes
+// (multiple_choice), a boolean (true_false), an array of accepted strings
+// (fill_blank) or the option indexes in the right order (ordering).
+function validateQuestionInput(question, index) {
+  const label = `questions[${index}]`;
+
+  if (!question || !QUESTION_TYPES.includes(question.question_type)) {
+    return { error: `${label}.question_type must be one of ${QUESTION_TYPES.join(', ')}` };
+  }
+
+  if (!question.prompt || String(question.prompt).trim().length === 0) {
+    return { error: `${label}.prompt is required` };
+  }
+
+  const points = question.points !== undefined ? parseFloat(question.points) : 1;
+  if (isNaN(points) || points <= 0) {
+    return { error: `${label}.points must be a positive number` };
+  }
+
+  const type = question.question_type;
+  const options = Array.isArray(question.options) ? question.options.map(option => String(option)) : [];
+  const answer = question.correct_answer;
+  const isOptionIndex = value => Number.isInteger(value) && value >= 0 && value < options.length;
+
+  let correctAnswer;
+  switch (type) {
+    case 'single_choice':
+      if (options.length < 2 || !isOptionIndex(answer)) {
+        return { error: `${label} needs at least 2 options and correct_answer as an option index` };
+      }
+      correctAnswer = answer;
+      break;
+    case 'multiple_choice':
+      if (options.length < 2 || !Array.isArray(answer) || answer.length === 0 || !answer.every(isOptionIndex)) {
+        return { error: `${label} needs at least 2 options and correct_answer as an array of option indexes` };
+      }
+      correctAnswer = [...new Set(answer)].sort((a, b) => a - b);
+      break;
+    case 'true_false':
+      if (typeof answer !== 'boolean') {
+        return { error: `${label}.correct_answer must be true or false` };
+      }
+      correctAnswer = answer;
+      break;
+    case 'fill_blank':
+      if (!Array.isArray(answer) || answer.length === 0 || answer.some(value => String(value).trim() === '')) {
+        return { error: `${label}.correct_answer must be an array of accepted answers` };
+      }
+      correctAnswer = answer.map(value => String(value).trim());
+      break;
+    case 'ordering':
+      if (options.length < 2 || !Array.isArray(answer) || answer.length !== options.length ||
+          !answer.every(isOptionIndex) || new Set(answer).size !== options.length) {
+        return { error: `${label}.correct_answer must list every option index once, in the right order` };
+      }
+      correctAnswer = answer;
+      break;
+  }
+
+  return {
+    question: {
+      question_type: type,
+      prompt: String(question.prompt).trim(),
+      options: type === 'true_false' || type === 'fill_blank' ? [] : options,
+      correct_answer: correctAnswer,
+      points
+    }
+  };
+}
+
+// Validate quiz settings. With partial = true only the fields present are checked.
+function validateQuizInput(body, partial = false) {
+  const errors = [];
+  const values = {};
+
+  if (body.title !== undefined || !partial) {
+    if (!body.title || String(body.title).trim().length === 0 || String(body.title).length > 255) {
+      errors.push('title is required and must be at most 255 characters');
+    } else {
+      values.title = String(body.title).trim();
+    }
+  }
+
+  if (body.description !== undefined) {
+    values.description = body.description || '';
+  }
+
+  for (const field of ['time_limit_minutes', 'max_attempts']) {
+    if (body[field] !== undefined) {
+      const value = body[field] === null || body[field] === '' ? null : parseInt(body[field], 10);
+      if (value !== null && (isNaN(value) || value <= 0)) {
+        errors.push(`${field} must be a positive integer or null`);
+      } else {
+        values[field] = value;
+      }
+    }
+  }
+
+  if (body.pass_percentage !== undefined) {
+    const value = parseFloat(body.pass_percentage);
+    if (isNaN(value) || value < 0 || value > 100) {
+      errors.push('pass_percentage must be between 0 and 100');
+    } else {
+      values.pass_percentage = value;
+    }
+  }
+
+  for (const field of ['shuffle_questions', 'is_published', 'reveal_answers']) {
+    if (body[field] !== undefined) {
+      values[field] = Boolean(body[field]);
+    }
+  }
+
+  let questions;
+  if (body.questions !== undefined || !partial) {
+    if (!Array.isArray(body.questions) || body.questions.length === 0) {
+      errors.push('questions must be a non-empty array');
+    } else {
+      questions = [];
+      body.questions.forEach((question, index) => {
+        const result = validateQuestionInput(question, index);
+        if (result.error) {
+          errors.push(result.error);
+        } else {
+          questions.push(result.question);
         }
+      });
+    }
+  }
+
+  return { errors, values, questions };
+}
+
+// Replace the questions of a quiz
+async function setQuizQuestions(client, quizId, questions) {
+  await client.query('DELETE FROM quiz_questions WHERE quiz_id = $1', [quizId]);
+
+  for (const [position, question] of questions.entries()) {
+    await client.query(
+      `INSERT INTO quiz_questions (quiz_id, question_type, prompt, options, correct_answer, points, position)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        quizId,
+        question.question_type,
+        question.prompt,
+        JSON.stringify(question.options),
+        JSON.stringify(question.correct_answer),
+        question.points,
+        position
+      ]
+    );
+  }
+}
+
+// Fisher-Yates shuffle on a copy
+function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// Question as shown to a student - no answer key, ordering options shuffled
+function presentQuestion(question) {
+  const options = question.options.map((text, id) => ({ id, text }));
+
+  return {
+    id: question.id,
+    question_type: question.question_type,
+    prompt: question.prompt,
+    points: parseFloat(question.points),
+    options: question.question_type === 'ordering' ? shuffle(options) : options
+  };
+}
+
+// Auto-grade a single answer. Questions score all or nothing.
+function isCorrectAnswer(question, answer) {
+  const expected = question.correct_answer;
+
+  switch (question.question_type) {
+    case 'single_choice':
+      return Number(answer) === expected;
+    case 'multiple_choice': {
+      if (!Array.isArray(answer)) {
+        return false;
+      }
+      const given = [...new Set(answer.map(Number))].sort((a, b) => a - b);
+      return given.length === expected.length && given.every((value, index) => value === expected[index]);
+    }
+    case 'true_false':
+      return answer === expected || String(answer).toLowerCase() === String(expected);
+    case 'fill_blank': {
+      const normalise = value => String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+      return answer !== undefined && answer !== null && expected.some(value => normalise(value) === normalise(answer));
+    }
+    case 'ordering':
+      return Array.isArray(answer) && answer.length === expected.length &&
+        answer.every((value, index) => Number(value) === expected[index]);
+    default:
+      return false;
+  }
+}
+
+// Grade a set of answers ({ questionId: answer }) against the quiz questions
+function gradeQuizAttempt(questions, answers, passPercentage) {
+  let score = 0;
+  let maxScore = 0;
+
+  const results = questions.map(question => {
+    const points = parseFloat(question.points);
+    const answer = answers[question.id];
+    const correct = isCorrectAnswer(question, answer);
+
+    maxScore += points;
+    if (correct) {
+      score += points;
+    }
+
+    return {
+      question_id: question.id,
+      answer: answer === undefined ? null : answer,
+      correct,
+      points_awarded: correct ? points : 0,
+      correct_answer: question.correct_answer
+    };
+  });
+
+  const percentage = maxScore > 0 ? Math.round(score / maxScore * 10000) / 100 : 0;
+
+  return { results, score, maxScore, percentage, passed: percentage >= parseFloat(passPercentage) };
+}
+
+// Students see the correct answers only once a teacher reveals them or once
+// they have used every attempt, so they cannot be copied into a retake
+function presentAttemptForStudent(attempt, quiz, attemptCount) {
+  const revealed = quiz.reveal_answers || Boolean(quiz.max_attempts && attemptCount >= quiz.max_attempts);
+
+  if (revealed || !attempt.results) {
+    return attempt;
+  }
+  return { ...attempt, results: attempt.results.map(({ correct_answer, ...result }) => result) };
+}
+
+// Course a quiz belongs to, or null when the quiz does not exist
+async function getQuizCourseId(quizId) {
+  const result = await pool.query('SELECT course_id FROM quizzes WHERE id = $1', [quizId]);
+  return result.rows.length > 0 ? result.rows[0].course_id : null;
+}
+
+// Load a quiz, answering 404 when it does not exist or a student cannot see it
+async function loadQuizForUser(req, res, quizId) {
+  const result = await pool.query('SELECT * FROM quizzes WHERE id = $1', [quizId]);
+  const quiz = result.rows[0];
+
+  if (!quiz || (req.user.role === 'student' && !quiz.is_published)) {
+    res.status(404).json({ error: 'Quiz not found' });
+    return null;
+  }
+
+  if (req.user.role === 'student' && !(await isEnrolledInCourse(req.user, quiz.course_id))) {
+    res.status(403).json({ error: 'You are not enrolled in this course' });
+    return null;
+  }
+
+  return quiz;
+}
+
+// List quizzes of a course. Students see published quizzes with their attempt count.
+app.get('/api/courses/:id/quizzes', requireRole('admin', 'teacher', 'student'), async (req, res) => {
+  const courseId = parseInt(req.params.id, 10) || 0;
+  const isStudent = req.user.role === 'student';
+
+  try {
+    if (isStudent && !(await isEnrolledInCourse(req.user, courseId))) {
+      return res.status(403).json({ error: 'You are not enrolled in this course' });
+    }
+
+    const result = await pool.query(
+      `SELECT q.*,
+         (SELECT COUNT(*) FROM quiz_questions WHERE quiz_id = q.id)::int AS question_count,
+         (SELECT COUNT(*) FROM quiz_attempts WHERE quiz_id = q.id AND user_id = $2)::int AS my_attempts
+       FROM quizzes q
+       WHERE q.course_id = $1 ${isStudent ? 'AND q.is_published = TRUE' : ''}
+       ORDER BY q.created_at`,
+      [courseId, req.user.id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching quizzes:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create a quiz with its questions
+app.post('/api/courses/:id/quizzes', requireRole('admin', 'teacher'), async (req, res) => {
+  const { errors, values, questions } = validateQuizInput(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(', ') });
+  }
+
+  const courseId = parseInt(req.params.id, 10) || 0;
+  const client = await pool.connect();
+
+  try {
+    const { error, status } = await authorizeCourse(req.user, courseId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO quizzes
+         (course_id, title, description, time_limit_minutes, max_attempts, shuffle_questions,
+          pass_percentage, is_published, reveal_answers, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        courseId,
+        values.title,
+        values.description || '',
+        values.time_limit_minutes || null,
+        values.max_attempts || null,
+        values.shuffle_questions || false,
+        values.pass_percentage !== undefined ? values.pass_percentage : 50,
+        values.is_published || false,
+        values.reveal_answers || false,
+        req.user.uid
+      ]
+    );
+    const quiz = result.rows[0];
+
+    await setQuizQuestions(client, quiz.id, questions);
+
+    await client.query('COMMIT');
+
+    res.status(201).json({ ...quiz, question_count: questions.length });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23503') {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    console.error('Error creating quiz:', err);
+    res.status(500).json({ error: 'Error creating quiz' });
+  } finally {
+    client.release();
+  }
+});
+
+// Get a quiz with its questions and answer key (staff only)
+app.get('/api/quizzes/:id', requireRole('admin', 'teacher'), async (req, res) => {
+  try {
+    const quizResult = await pool.query('SELECT * FROM quizzes WHERE id = $1', [parseInt(req.params.id, 10) || 0]);
+
+    if (quizResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    if (!(await canManageCourse(req.user, quizResult.rows[0].course_id))) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+
+    const questionsResult = await pool.query(
+      'SELECT * FROM quiz_questions WHERE quiz_id = $1 ORDER BY position',
+      [quizResult.rows[0].id]
+    );
+
+    res.json({ ...quizResult.rows[0], questions: questionsResult.rows });
+  } catch (err) {
+    console.error('Error fetching quiz:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Update quiz settings. Questions can only be replaced before anyone has attempted it.
+app.put('/api/quizzes/:id', requireRole('admin', 'teacher'), async (req, res) => {
+  const { errors, values, questions } = validateQuizInput(req.body, true);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(', ') });
+  }
+
+  const fields = Object.keys(values);
+  if (fields.length === 0 && !questions) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  const quizId = parseInt(req.params.id, 10) || 0;
+  const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+  const client = await pool.connect();
+
+  try {
+    const { error, status } = await authorizeCourse(req.user, await getQuizCourseId(quizId), 'Quiz not found');
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE quizzes SET ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+       WHERE id = $1
+       RETURNING *`,
+      [quizId, ...fields.map(field => values[field])]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    if (questions) {
+      const attemptsResult = await client.query('SELECT 1 FROM quiz_attempts WHERE quiz_id = $1 LIMIT 1', [quizId]);
+
+      if (attemptsResult.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Questions cannot be changed after students have attempted the quiz' });
+      }
+
+      await setQuizQuestions(client, quizId, questions);
+    }
+
+    await client.query('COMMIT');
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error updating quiz:', err);
+    res.status(500).json({ error: 'Error updating quiz' });
+  } finally {
+    client.release();
+  }
+});
+
+// Delete a quiz with its questions and attempts
+app.delete('/api/quizzes/:id', requireRole('admin', 'teacher'), async (req, res) => {
+  const quizId = parseInt(req.params.id, 10) || 0;
+
+  try {
+    const { error, status } = await authorizeCourse(req.user, await getQuizCourseId(quizId), 'Quiz not found');
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM quizzes WHERE id = $1 RETURNING id',
+      [quizId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    res.json({ success: true, message: 'Quiz deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting quiz:', err);
+    res.status(500).json({ error: 'Error deleting quiz' });
+  }
+});
+
+// Start (or resume) an attempt - returns the questions without answers
+app.post('/api/quizzes/:id/attempts', requireRole('student'), async (req, res) => {
+  const quizId = parseInt(req.params.id, 10) || 0;
+  const client = await pool.connect();
+
+  try {
+    const quiz = await loadQuizForUser(req, res, quizId);
+    if (!quiz) {
+      return;
+    }
+
+    await client.query('BEGIN');
+
+    // Serialise attempt creation per user so the attempt limit holds
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [req.user.id]);
+
+    // Close out attempts whose time ran out without a submission
+    await client.query(
+      `UPDATE quiz_attempts SET status = 'expired', score = 0, percentage = 0, passed = FALSE
+       WHERE quiz_id = $1 AND user_id = $2 AND status = 'in_progress'
+         AND expires_at < CURRENT_TIMESTAMP - ($3 || ' seconds')::interval`,
+      [quizId, req.user.id, QUIZ_SUBMIT_GRACE_SECONDS]
+    );
+
+    const existingResult = await client.query(
+      `SELECT * FROM quiz_attempts WHERE quiz_id = $1 AND user_id = $2 ORDER BY started_at`,
+      [quizId, req.user.id]
+    );
+
+    let attempt = existingResult.rows.find(row => row.status === 'in_progress');
+
+    if (!attempt) {
+      if (quiz.max_attempts && existingResult.rows.length >= quiz.max_attempts) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'You have used all attempts for this quiz' });
+      }
+
+      const questionsResult = await client.query(
+        'SELECT id FROM quiz_questions WHERE quiz_id = $1 ORDER BY position',
+        [quizId]
+      );
+      const questionIds = questionsResult.rows.map(row => row.id);
+
+      const attemptResult = await client.query(
+        `INSERT INTO quiz_attempts (quiz_id, user_id, question_order, expires_at)
+         VALUES ($1, $2, $3, CASE WHEN $4::int IS NULL THEN NULL
+           ELSE CURRENT_TIMESTAMP + ($4::int * INTERVAL '1 minute') END)
+         RETURNING *`,
+        [quizId, req.user.id, quiz.shuffle_questions ? shuffle(questionIds) : questionIds, quiz.time_limit_minutes]
+      );
+      attempt = attemptResult.rows[0];
+    }
+
+    await client.query('COMMIT');
+
+    const questionsResult = await pool.query('SELECT * FROM quiz_questions WHERE quiz_id = $1', [quizId]);
+    const questionsById = Object.fromEntries(questionsResult.rows.map(question => [question.id, question]));
+
+    res.status(201).json({
+      attempt_id: attempt.id,
+      quiz_id: quizId,
+      title: quiz.title,
+      started_at: attempt.started_at,
+      expires_at: attempt.expires_at,
+      questions: attempt.question_order
+        .filter(id => questionsById[id])
+        .map(id => presentQuestion(questionsById[id]))
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error starting quiz attempt:', err);
+    res.status(500).json({ error: 'Error starting quiz attempt' });
+  } finally {
+    client.release();
+  }
+});
+
+// Submit answers ({ answers: { questionId: answer } }) and auto-grade the attempt
+app.post('/api/quiz-attempts/:id/submit', requireRole('student'), async (req, res) => {
+  const attemptId = parseInt(req.params.id, 10) || 0;
+  const answers = req.body.answers && typeof req.body.answers === 'object' ? req.body.answers : {};
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const attemptResult = await client.query(
+      `SELECT a.*, q.pass_percentage, q.course_id, q.max_attempts, q.reveal_answers
+       FROM quiz_attempts a
+       JOIN quizzes q ON q.id = a.quiz_id
+       WHERE a.id = $1 AND a.user_id = $2
+       FOR UPDATE OF a`,
+      [attemptId, req.user.id]
+    );
+    const attempt = attemptResult.rows[0];
+
+    if (!attempt) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Attempt not found' });
+    }
+
+    if (attempt.status !== 'in_progress') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'This attempt has already been submitted' });
+    }
+
+    if (attempt.expires_at && Date.now() > new Date(attempt.expires_at).getTime() + QUIZ_SUBMIT_GRACE_SECONDS * 1000) {
+      await client.query(
+        "UPDATE quiz_attempts SET status = 'expired', score = 0, percentage = 0, passed = FALSE WHERE id = $1",
+        [attemptId]
+      );
+      await client.query('COMMIT');
+      return res.status(409).json({ error: 'The time limit for this attempt has passed' });
+    }
+
+    const questionsResult = await client.query(
+      'SELECT * FROM quiz_questions WHERE id = ANY($1)',
+      [attempt.question_order]
+    );
+    const grade = gradeQuizAttempt(questionsResult.rows, answers, attempt.pass_percentage);
+
+    const result = await client.query(
+      `UPDATE quiz_attempts SET
+         status = 'submitted', answers = $2, results = $3, score = $4, max_score = $5,
+         percentage = $6, passed = $7, submitted_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [
+        attemptId,
+        JSON.stringify(answers),
+        JSON.stringify(grade.results),
+        grade.score,
+        grade.maxScore,
+        grade.percentage,
+        grade.passed
+      ]
+    );
+
+    const countResult = await client.query(
+      'SELECT COUNT(*)::int AS count FROM quiz_attempts WHERE quiz_id = $1 AND user_id = $2',
+      [attempt.quiz_id, req.user.id]
+    );
+
+    await client.query('COMMIT');
+
+    res.json(presentAttemptForStudent(result.rows[0], attempt, countResult.rows[0].count));
+
+    if (grade.passed) {
+      checkCourseCompletionLater(req.user, [attempt.course_id]);
+    }
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error submitting quiz attempt:', err);
+    res.status(500).json({ error: 'Error submitting quiz attempt' });
+  } finally {
+    client.release();
+  }
+});
+
+// The signed-in student's attempts at a quiz
+app.get('/api/quizzes/:id/my-attempts', requireRole('student'), async (req, res) => {
+  const quizId = parseInt(req.params.id, 10) || 0;
+
+  try {
+    const quizResult = await pool.query('SELECT max_attempts, reveal_answers FROM quizzes WHERE id = $1', [quizId]);
+
+    if (quizResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT id, status, score, max_score, percentage, passed, results, started_at, submitted_at
+       FROM quiz_attempts
+       WHERE quiz_id = $1 AND user_id = $2
+       ORDER BY started_at`,
+      [quizId, req.user.id]
+    );
+    res.json(result.rows.map(attempt => presentAttemptForStudent(attempt, quizResult.rows[0], result.rows.length)));
+  } catch (err) {
+    console.error('Error fetching quiz attempts:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Every graded attempt at a quiz, with the student who made it
+app.get('/api/quizzes/:id/results', requireRole('admin', 'teacher'), async (req, res) => {
+  const quizId = parseInt(req.params.id, 10) || 0;
+
+  try {
+    const { error, status } = await authorizeCourse(req.user, await getQuizCourseId(quizId), 'Quiz not found');
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const result = await pool.query(
+      `SELECT a.id, a.user_id, u.name, u.email, a.status, a.score, a.max_score, a.percentage,
+         a.passed, a.started_at, a.submitted_at
+       FROM quiz_attempts a
+       JOIN users u ON u.id = a.user_id
+       WHERE a.quiz_id = $1 AND a.status <> 'in_progress'
+       ORDER BY u.name, a.started_at`,
+      [quizId]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching quiz results:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Score distribution of each student's best attempt, in 10% buckets
+app.get('/api/quizzes/:id/score-distribution', requireRole('admin', 'teacher'), async (req, res) => {
+  const quizId = parseInt(req.params.id, 10) || 0;
+
+  try {
+    const { error, status } = await authorizeCourse(req.user, await getQuizCourseId(quizId), 'Quiz not found');
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const result = await pool.query(
+      `SELECT DISTINCT ON (user_id) user_id, percentage, passed
+       FROM quiz_attempts
+       WHERE quiz_id = $1 AND status <> 'in_progress'
+       ORDER BY user_id, percentage DESC`,
+      [quizId]
+    );
+
+    const percentages = result.rows.map(row => parseFloat(row.percentage)).sort((a, b) => a - b);
+    const buckets = Array.from({ length: 10 }, (_, index) => ({
+      range: `${index * 10}-${index === 9 ? 100 : index * 10 + 9}`,
+      count: 0
+    }));
+
+    for (const percentage of percentages) {
+      buckets[Math.min(Math.floor(percentage / 10), 9)].count++;
+    }
+
+    const count = percentages.length;
+    const middle = Math.floor(count / 2);
+
+    res.json({
+      students: count,
+      mean: count ? Math.round(percentages.reduce((sum, value) => sum + value, 0) / count * 100) / 100 : null,
+      median: count ? (count % 2 ? percentages[middle] : (percentages[middle - 1] + percentages[middle]) / 2) : null,
+      min: count ? percentages[0] : null,
+      max: count ? percentages[count - 1] : null,
+      pass_rate: count ? Math.round(result.rows.filter(row => row.passed).length / count * 10000) / 100 : null,
+      buckets
+    });
+  } catch (err) {
+    console.error('Error building score distribution:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Assignment helpers
+
+// Validate a rubric: an array of { criterion, max_points }
+function validateRubric(rubric) {
+  if (!Array.isArray(rubric)) {
+    return { error: 'rubric must be an array of { criterion, max_points }' };
+  }
+
+  const normalised = [];
+  for (const item of rubric) {
+    const maxPoints = parseFloat(item && item.max_points);
+    if (!item || !item.criterion || isNaN(maxPoints) || maxPoints <= 0) {
+      return { error: 'each rubric item needs a criterion and positive max_points' };
+    }
+    normalised.push({ criterion: String(item.criterion).trim(), max_points: maxPoints });
+  }
+
+  if (new Set(normalised.map(item => item.criterion)).size !== normalised.length) {
+    return { error: 'rubric criteria must be unique' };
+  }
+
+  return { rubric: normalised };
+}
+
+// Validate assignment fields. With partial = true only the fields present are checked.
+function validateAssignmentInput(body, partial = false) {
+  const errors = [];
+  const values = {};
+
+  if (body.title !== undefined || !partial) {
+    if (!body.title || String(body.title).trim().length === 0 || String(body.title).length > 255) {
+      errors.push('title is required and must be at most 255 characters');
+    } else {
+      values.title = String(body.title).trim();
+    }
+  }
+
+  if (body.instructions !== undefined) {
+    values.instructions = body.instructions || '';
+  }
+
+  if (body.due_at !== undefined || !partial) {
+    const dueAt = new Date(body.due_at);
+    if (!body.due_at || isNaN(dueAt.getTime())) {
+      errors.push('due_at must be a valid date');
+    } else {
+      values.due_at = dueAt;
+    }
+  }
+
+  if (body.rubric !== undefined) {
+    const result = validateRubric(body.rubric);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      values.rubric = JSON.stringify(result.rubric);
+      // With a rubric the maximum score is the sum of its criteria
+      if (result.rubric.length > 0) {
+        values.max_score = result.rubric.reduce((sum, item) => sum + item.max_points, 0);
+      }
+    }
+  }
+
+  if (body.max_score !== undefined && values.max_score === undefined) {
+    const maxScore = parseFloat(body.max_score);
+    if (isNaN(maxScore) || maxScore <= 0) {
+      errors.push('max_score must be a positive number');
+    } else {
+      values.max_score = maxScore;
+    }
+  }
+
+  if (body.allow_late !== undefined) {
+    values.allow_late = Boolean(body.allow_late);
+  }
+
+  return { errors, values };
+}
+
+// Course an assignment belongs to, or null when the assignment does not exist
+async function getAssignmentCourseId(assignmentId) {
+  const result = await pool.query('SELECT lesson_id FROM assignments WHERE id = $1', [assignmentId]);
+  return result.rows.length > 0 ? getLessonCourseId(result.rows[0].lesson_id) : null;
+}
+
+// List assignments of a lesson
+app.get('/api/lessons/:id/assignments', requireRole('admin', 'teacher', 'student'), async (req, res) => {
+  const lessonId = parseInt(req.params.id, 10) || 0;
+
+  try {
+    const courseId = await getLessonCourseId(lessonId);
+
+    if (!courseId) {
+      return res.status(404).json({ error: 'Lesson not found' });
+    }
+
+    if (req.user.role === 'student' && !(await isEnrolledInCourse(req.user, courseId))) {
+      return res.status(403).json({ error: 'You are not enrolled in this course' });
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM assignments WHERE lesson_id = $1 ORDER BY due_at',
+      [lessonId]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching assignments:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create an assignment on a lesson
+app.post('/api/lessons/:id/assignments', requireRole('admin', 'teacher'), async (req, res) => {
+  const { errors, values } = validateAssignmentInput(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(', ') });
+  }
+
+  const lessonId = parseInt(req.params.id, 10) || 0;
+
+  try {
+    const { error, status } = await authorizeCourse(req.user, await getLessonCourseId(lessonId), 'Lesson not found');
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO assignments (lesson_id, title, instructions, due_at, max_score, rubric, allow_late, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        lessonId,
+        values.title,
+        values.instructions || '',
+        values.due_at,
+        values.max_score || 100,
+        values.rubric || '[]',
+        values.allow_late !== undefined ? values.allow_late : true,
+        req.user.uid
+      ]
+    );
+
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    console.error('Error creating assignment:', err);
+    res.status(500).json({ error: 'Error creating assignment' });
+  }
+});
+
+// Update an assignment
+app.put('/api/assignments/:id', requireRole('admin', 'teacher'), async (req, res) => {
+  const { errors, values } = validateAssignmentInput(req.body, true);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(', ') });
+  }
+
+  const fields = Object.keys(values);
+  if (fields.length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  const assignmentId = parseInt(req.params.id, 10) || 0;
+  const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+
+  try {
+    const { error, status } = await authorizeCourse(req.user, await getAssignmentCourseId(assignmentId), 'Assignment not found');
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const result = await pool.query(
+      `UPDATE assignments SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [assignmentId, ...fields.map(field => values[field])]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error updating assignment:', err);
+    res.status(500).json({ error: 'Error updating assignment' });
+  }
+});
+
+// Delete an assignment and its submissions
+app.delete('/api/assignments/:id', requireRole('admin', 'teacher'), async (req, res) => {
+  const assignmentId = parseInt(req.params.id, 10) || 0;
+
+  try {
+    const { error, status } = await authorizeCourse(req.user, await getAssignmentCourseId(assignmentId), 'Assignment not found');
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM assignments WHERE id = $1 RETURNING id',
+      [assignmentId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+
+    res.json({ success: true, message: 'Assignment deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting assignment:', err);
+    res.status(500).json({ error: 'Error deleting assignment' });
+  }
+});
+
+// Submit (or resubmit) an assignment - multipart with a "file" field and optional comment
+app.post('/api/assignments/:id/submissions', requireRole('student'), upload.single('file'), async (req, res) => {
+  const assignmentId = parseInt(req.params.id, 10) || 0;
+
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const assignmentResult = await client.query('SELECT * FROM assignments WHERE id = $1', [assignmentId]);
+    const assignment = assignmentResult.rows[0];
+
+    if (!assignment) {
+      await discardUploadedFile(req.file);
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+
+    const courseId = await getLessonCourseId(assignment.lesson_id);
+    if (!(await isEnrolledInCourse(req.user, courseId))) {
+      await discardUploadedFile(req.file);
+      return res.status(403).json({ error: 'You are not enrolled in this course' });
+    }
+
+    const isLate = new Date() > new Date(assignment.due_at);
+    if (isLate && !assignment.allow_late) {
+      await discardUploadedFile(req.file);
+      return res.status(409).json({ error: 'The due date for this assignment has passed' });
+    }
+
+    await client.query('BEGIN');
+
+    const latestResult = await client.query(
+      `SELECT * FROM assignment_submissions
+       WHERE assignment_id = $1 AND user_id = $2
+       ORDER BY version DESC LIMIT 1
+       FOR UPDATE`,
+      [assignmentId, req.user.id]
+    );
+    const latest = latestResult.rows[0];
+
+    // A new version is only accepted when the teacher asked for one
+    if (latest && latest.status !== 'resubmission_requested') {
+      await client.query('ROLLBACK');
+      await discardUploadedFile(req.file);
+      return res.status(409).json({ error: 'You have already submitted this assignment' });
+    }
+
+    const result = await client.query(
+      `INSERT INTO assignment_submissions
+         (assignment_id, user_id, version, file_url, storage_path, storage_driver, file_name, file_size, comment, is_late)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        assignmentId,
+        req.user.id,
+        latest ? latest.version + 1 : 1,
+        req.file.path,
+        req.file.filename,
+        req.file.storage_driver,
+        req.file.originalname,
+        req.file.size,
+        req.body.comment || '',
+        isLate
+      ]
+    );
+
+    await client.query('COMMIT');
+
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    await discardUploadedFile(req.file);
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'You have already submitted this assignment' });
+    }
+    console.error('Error submitting assignment:', err);
+    res.status(500).json({ error: 'Error submitting assignment' });
+  } finally {
+    client.release();
+  }
+});
+
+// The signed-in student's submissions for an assignment, newest first
+app.get('/api/assignments/:id/my-submissions', requireRole('student'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM assignment_submissions
+       WHERE assignment_id = $1 AND user_id = $2
+       ORDER BY version DESC`,
+      [parseInt(req.params.id, 10) || 0, req.user.id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching submissions:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Submissions for an assignment - latest version per student unless ?all=true
+app.get('/api/assignments/:id/submissions', requireRole('admin', 'teacher'), async (req, res) => {
+  const assignmentId = parseInt(req.params.id, 10) || 0;
+  const latestOnly = req.query.all !== 'true';
+
+  try {
+    const { error, status } = await authorizeCourse(req.user, await getAssignmentCourseId(assignmentId), 'Assignment not found');
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const result = await pool.query(
+      `SELECT ${latestOnly ? 'DISTINCT ON (s.user_id)' : ''} s.*, u.name, u.email
+       FROM assignment_submissions s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.assignment_id = $1
+       ORDER BY s.user_id, s.version DESC`,
+      [assignmentId]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching submissions:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Short-lived link to a submitted file - staff, or the student who submitted it
+app.get('/api/submissions/:id/file', requireRole('admin', 'teacher', 'student'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, user_id, assignment_id, file_url, storage_path, storage_driver FROM assignment_submissions WHERE id = $1',
+      [parseInt(req.params.id, 10) || 0]
+    );
+    const submission = result.rows[0];
+
+    if (!submission || (req.user.role === 'student' && submission.user_id !== req.user.id)) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    if (req.user.role === 'teacher' && !(await canManageCourse(req.user, await getAssignmentCourseId(submission.assignment_id)))) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+
+    const access = await createFileAccessUrl(submission.storage_driver, submission.storage_path, submission.file_url);
+    res.json({ submission_id: submission.id, ...access });
+  } catch (err) {
+    console.error('Error providing submission file:', err);
+    res.status(500).json({ error: 'Error accessing submission file' });
+  }
+});
+
+// Load a submission with its assignment and student for grading
+async function loadSubmissionForGrading(client, submissionId) {
+  const result = await client.query(
+    `SELECT s.*, a.title AS assignment_title, a.lesson_id, a.max_score, a.rubric, u.name AS student_name, u.email AS student_email,
+       u.preferred_language AS student_language
+     FROM assignment_submissions s
+     JOIN assignments a ON a.id = s.assignment_id
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id = $1
+     FOR UPDATE OF s`,
+    [submissionId]
+  );
+  return result.rows[0];
+}
+
+// Grade a submission. Send rubric_scores ([{ criterion, points }]) when the
+// assignment has a rubric, otherwise a plain score.
+app.post('/api/submissions/:id/grade', requireRole('admin', 'teacher'), async (req, res) => {
+  const { rubric_scores, score, feedback } = req.body;
+  const client = await pool.connect();
+  let graded;
+
+  try {
+    await client.query('BEGIN');
+
+    const submission = await loadSubmissionForGrading(client, parseInt(req.params.id, 10) || 0);
+
+    if (!submission) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    if (!(await canManageCourse(req.user, await getLessonCourseId(submission.lesson_id)))) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+
+    let totalScore;
+    let rubricScores = null;
+
+    if (submission.rubric.length > 0) {
+      const scoresByCriterion = Object.fromEntries(
+        (Array.isArray(rubric_scores) ? rubric_scores : []).map(item => [item.criterion, parseFloat(item.points)])
+      );
+
+      rubricScores = submission.rubric.map(item => ({
+        criterion: item.criterion,
+        max_points: item.max_points,
+        points: scoresByCriterion[item.criterion]
+      }));
+
+      if (rubricScores.some(item => isNaN(item.points) || item.points < 0 || item.points > item.max_points)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'rubric_scores must give points between 0 and max_points for every criterion' });
+      }
+
+      totalScore = rubricScores.reduce((sum, item) => sum + item.points, 0);
+    } else {
+      totalScore = parseFloat(score);
+
+      if (isNaN(totalScore) || totalScore < 0 || totalScore > parseFloat(submission.max_score)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: `score must be between 0 and ${submission.max_score}` });
       }
+    }
+
+    const result = await client.query(
+      `UPDATE assignment_submissions SET
+         status = 'graded', score = $2, rubric_scores = $3, feedback = $4,
+         graded_by = $5, graded_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [submission.id, totalScore, rubricScores ? JSON.stringify(rubricScores) : null, feedback || '', req.user.uid]
+    );
+
+    graded = { ...submission, ...result.rows[0] };
+    await queueAssignmentFeedbackEmail(client, graded);
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error grading submission:', err);
+    return res.status(500).json({ error: 'Error grading submission' });
+  } finally {
+    client.release();
+  }
+
+  res.json(graded);
+});
+
+// Ask the student to submit the assignment again
+app.post('/api/submissions/:id/request-resubmission', requireRole('admin', 'teacher'), async (req, res) => {
+  const { feedback } = req.body;
+
+  if (!feedback) {
+    return res.status(400).json({ error: 'feedback is required when requesting a resubmission' });
+  }
+
+  const client = await pool.connect();
+  let updated;
+
+  try {
+    await client.query('BEGIN');
+
+    const submission = await loadSubmissionForGrading(client, parseInt(req.params.id, 10) || 0);
+
+    if (!submission) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    if (!(await canManageCourse(req.user, await getLessonCourseId(submission.lesson_id)))) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+
+    const result = await client.query(
+      `UPDATE assignment_submissions SET
+         status = 'resubmission_requested', feedback = $2, graded_by = $3, graded_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [submission.id, feedback, req.user.uid]
+    );
+
+    updated = { ...submission, ...result.rows[0] };
+    await queueAssignmentFeedbackEmail(client, updated);
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error requesting resubmission:', err);
+    return res.status(500).json({ error: 'Error requesting resubmission' });
+  } finally {
+    client.release();
+  }
+
+  res.json(updated);
+});
+
+// Certificate helpers
+
+// Random certificate code such as ASTA-7KQ2-M9XD. The alphabet leaves out
+// characters that are easy to misread (0/O, 1/I).
+function generateCertificateCode() {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const characters = Array.from({ length: 8 }, () => alphabet[crypto.randomInt(alphabet.length)]);
+  return `ASTA-${characters.slice(0, 4).join('')}-${characters.slice(4).join('')}`;
+}
+
+// Render a certificate row to a PDF buffer
+function generateCertificatePdf(certificate) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const verifyPath = `/verify-certificate/${certificate.certificate_code}`;
+
+    doc.lineWidth(3).strokeColor('#4b0082')
+      .rect(25, 25, doc.page.width - 50, doc.page.height - 50).stroke();
+
+    doc.moveDown(3);
+    doc.fillColor('#4b0082').fontSize(32).text('Certificate of Completion', { align: 'center' });
+    doc.moveDown();
+    doc.fillColor('#000').fontSize(14).text('This is to certify that', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fontSize(26).text(certificate.student_name, { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fontSize(14).text('has successfully completed the course', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fontSize(20).text(certificate.course_title, { align: 'center' });
+    doc.moveDown(2);
+    doc.fontSize(12).text(`Issued on ${new Date(certificate.issued_at).toLocaleDateString('en-IN')} by ASTA Education Academy`, { align: 'center' });
+
+    doc.moveDown(2);
+    doc.fontSize(10).fillColor('#666');
+    doc.text(`Certificate code: ${certificate.certificate_code}`, { align: 'center' });
+    doc.text(`Verify at ${PUBLIC_API_URL}${verifyPath}`, { align: 'center' });
+
+    doc.end();
+  });
+}
+
+// Whether a user has met a course's completion criteria: every content item in
+// the published curriculum completed and every published quiz passed
+async function hasCompletedCourse(userId, courseId) {
+  const result = await pool.query(
+    `WITH items AS (SELECT DISTINCT content_id FROM (${courseProgressItemsSql('$1')}) course_items)
+     SELECT
+       (SELECT COUNT(*) FROM items)::int AS total_items,
+       (SELECT COUNT(*) FROM items i
+          JOIN content_progress p ON p.content_id = i.content_id
+          WHERE p.user_id = $2 AND p.completed_at IS NOT NULL)::int AS completed_items,
+       (SELECT COUNT(*) FROM quizzes q
+          WHERE q.course_id = $1 AND q.is_published
+            AND NOT EXISTS (
+              SELECT 1 FROM quiz_attempts a
+              WHERE a.quiz_id = q.id AND a.user_id = $2 AND a.passed
+            ))::int AS quizzes_not_passed`,
+    [courseId, userId]
+  );
+  const row = result.rows[0];
+
+  return row.total_items > 0 && row.completed_items === row.total_items && row.quizzes_not_passed === 0;
+}
+
+// Issue and email a certificate once a student completes a course. Safe to
+// call repeatedly: an enrollment that already has a certificate is left alone.
+async function issueCertificateIfComplete(user, courseId) {
+  if (user.role !== 'student' || !courseId) {
+    return null;
+  }
+
+  const studentResult = await pool.query(
+    `SELECT s.*, c.title AS course_title
+     FROM students s
+     JOIN courses c ON c.id = s.course_id
+     WHERE s.course_id = $1 AND LOWER(s.email) = LOWER($2)
+       AND s.payment_status IN ('successful', 'partially_refunded')
+       AND NOT EXISTS (SELECT 1 FROM certificates ce WHERE ce.student_id = s.id)
+     ORDER BY s.registration_date
+     LIMIT 1`,
+    [courseId, user.email]
+  );
+  const student = studentResult.rows[0];
+
+  if (!student || !(await hasCompletedCourse(user.id, courseId))) {
+    return null;
+  }
+
+  const certificate = {
+    certificate_code: generateCertificateCode(),
+    student_id: student.id,
+    user_id: user.id,
+    course_id: courseId,
+    student_name: student.name,
+    course_title: student.course_title,
+    issued_at: new Date()
+  };
+  certificate.pdf_data = await generateCertificatePdf(certificate);
+
+  // A concurrent request may have issued it first - the unique student_id wins
+  const columns = Object.keys(certificate);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO certificates (${columns.join(', ')})
+       VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')})
+       ON CONFLICT (student_id) DO NOTHING
+       RETURNING *`,
+      columns.map(column => certificate[column])
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const issued = result.rows[0];
+
+    await queueCertificateEmail(client, student, issued);
+    await client.query('UPDATE certificates SET emailed_at = CURRENT_TIMESTAMP WHERE id = $1', [issued.id]);
+
+    await client.query('COMMIT');
+    return issued;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Check for course completion after a progress or quiz update. Runs after the
+// response so certificate generation never slows down or fails the request.
+// courseIds may be an array or a promise of one.
+function checkCourseCompletionLater(user, courseIds) {
+  Promise.resolve(courseIds)
+    .then(ids => Promise.all(ids.map(courseId => issueCertificateIfComplete(user, courseId))))
+    .catch(error => console.error('Error issuing certificate:', error));
+}
+
+// Public certificate verification, for employers and schools
+app.get('/verify-certificate/:code', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT certificate_code, student_name, course_title, issued_at, revoked_at
+       FROM certificates
+       WHERE certificate_code = $1`,
+      [String(req.params.code).trim().toUpperCase()]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ valid: false, error: 'Certificate not found' });
+    }
+
+    const certificate = result.rows[0];
+    res.json({
+      valid: !certificate.revoked_at,
+      certificate_code: certificate.certificate_code,
+      student_name: certificate.student_name,
+      course_title: certificate.course_title,
+      issued_at: certificate.issued_at,
+      revoked_at: certificate.revoked_at
     });
   } catch (err) {
-    console.error('Error creating Razorpay order:', err);
+    console.error('Error verifying certificate:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// The signed-in student's certificates
+app.get('/api/certificates', authenticate, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, certificate_code, course_id, student_name, course_title, issued_at, revoked_at
+       FROM certificates
+       WHERE user_id = $1
+       ORDER BY issued_at DESC`,
+      [req.user.id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching certificates:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
 
-    // More detailed error response
-    if (err.error && err.error.description) {
-      return res.status(400).json({
-        error: 'Razorpay error: ' + err.error.description
-      });
+// Download a certificate PDF - its owner or an admin
+app.get('/api/certificates/:code/pdf', authenticate, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM certificates WHERE certificate_code = $1',
+      [String(req.params.code).trim().toUpperCase()]
+    );
+    const certificate = result.rows[0];
+
+    if (!certificate || (req.user.role !== 'admin' && certificate.user_id !== req.user.id)) {
+      return res.status(404).json({ error: 'Certificate not found' });
     }
 
-    return res.status(500).json({
-      error: 'Error creating order',
-      details: err.message
-    });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${certificate.certificate_code}.pdf"`);
+    res.send(certificate.pdf_data);
+  } catch (err) {
+    console.error('Error downloading certificate:', err);
+    res.status(500).json({ error: 'Database error' });
   }
 });
 
-// Verify payment and update records
-app.post('/verify-payment', async (req, res) => {
-  const {
-    razorpay_order_id,
-    razorpay_payment_id,
-    razorpay_signature,
-    student_info
-  } = req.body;
+// Revoke a certificate issued in error; verification then reports it invalid
+app.post('/api/certificates/:code/revoke', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE certificates SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+       WHERE certificate_code = $1
+       RETURNING id, certificate_code, student_name, course_title, issued_at, revoked_at`,
+      [String(req.params.code).trim().toUpperCase()]
+    );
 
-  // Verify signature
-  const body = razorpay_order_id + '|' + razorpay_payment_id;
-  const expectedSignature = crypto
-    .createHmac('sha256', process.env.RAZORPAY_SECRET)
-    .update(body)
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error revoking certificate:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Spam protection for the public contact and about forms. Submissions are rate
+// limited per IP and per email. Repeats of an identical submission are accepted
+// but not stored again. Suspected spam is stored quarantined and sends no
+// notification.
+const SPAM_MAX_MESSAGE_LINKS = parseInt(process.env.SPAM_MAX_MESSAGE_LINKS, 10) || 3;
+const DUPLICATE_INQUIRY_WINDOW_HOURS = 24;
+
+const formIpLimiter = createRateLimiter({
+  windowMs: 10 * 60 * 1000,
+  max: parseInt(process.env.FORM_RATE_LIMIT_PER_IP, 10) || 5,
+  key: req => `ip:${getClientIp(req)}`,
+  message: 'Too many messages sent, please try again later'
+});
+const formEmailLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: parseInt(process.env.FORM_RATE_LIMIT_PER_EMAIL, 10) || 3,
+  key: req => (req.body.email ? `email:${String(req.body.email).trim().toLowerCase()}` : null),
+  message: 'Too many messages sent, please try again later'
+});
+
+// Fingerprint of a submission, to spot the same message sent twice
+function inquiryContentHash(source, { email, subject, message }) {
+  const normalise = value => String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  return crypto.createHash('sha256')
+    .update([source, normalise(email), normalise(subject), normalise(message)].join('\n'))
     .digest('hex');
+}
 
-  if (expectedSignature !== razorpay_signature) {
-    return res.status(400).json({ status: 'failure', message: 'Invalid signature' });
+// Reasons to treat a submission as spam - empty when it looks genuine
+function inquirySpamReasons(body) {
+  const reasons = [];
+
+  if (body[HONEYPOT_FIELD]) {
+    reasons.push('honeypot');
+  }
+  if ((String(body.message || '').match(/https?:\/\/|www\./gi) || []).length > SPAM_MAX_MESSAGE_LINKS) {
+    reasons.push('links');
+  }
+
+  return reasons;
+}
+
+// Store a form submission in the inquiry inbox. Returns the new inquiry, or
+// null when the same submission was already received recently.
+async function recordInquiry(client, source, req) {
+  const { name, email, phone, subject, message } = req.body;
+  const language = EMAIL_LOCALES.includes(req.body.language) ? req.body.language : DEFAULT_EMAIL_LOCALE;
+  const contentHash = inquiryContentHash(source, req.body);
+
+  // Serialize identical submissions, e.g. a double-clicked submit button
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [contentHash]);
+
+  const duplicate = await client.query(
+    `SELECT id FROM inquiries
+     WHERE content_hash = $1 AND submission_date > NOW() - $2 * INTERVAL '1 hour'
+     LIMIT 1`,
+    [contentHash, DUPLICATE_INQUIRY_WINDOW_HOURS]
+  );
+
+  if (duplicate.rows.length > 0) {
+    console.log(`Ignored duplicate ${source} submission of inquiry ${duplicate.rows[0].id}`);
+    return null;
+  }
+
+  const spamReasons = inquirySpamReasons(req.body);
+
+  const result = await client.query(
+    `INSERT INTO inquiries
+       (source, name, email, phone, subject, message, preferred_language,
+        ip_address, content_hash, is_quarantined, spam_reasons)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING *`,
+    [
+      source, name, email, source === 'contact' ? phone || '' : null, subject, message, language,
+      getClientIp(req), contentHash, spamReasons.length > 0, spamReasons
+    ]
+  );
+
+  if (spamReasons.length > 0) {
+    console.log(`Quarantined ${source} inquiry ${result.rows[0].id}:`, spamReasons.join(', '));
+  }
+
+  return result.rows[0];
+}
+
+// Contact form submission handler
+app.post('/submit-contact', formIpLimiter, formEmailLimiter, verifyCaptcha, async (req, res) => {
+  const { name, email, subject, message } = req.body;
+
+  if (!name || !email || !subject || !message) {
+    return res.status(400).json({ error: 'Name, email, subject, and message are required' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Insert into the inquiry inbox
+    const contactMessage = await recordInquiry(client, 'contact', req);
+
+    if (contactMessage && !contactMessage.is_quarantined) {
+      // Queue email notification
+      await queueContactNotificationEmail(client, contactMessage);
+    }
+
+    await client.query('COMMIT');
+
+    res.json({ success: true, message: 'Your message has been sent successfully!' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error in contact form processing:', error);
+    res.status(500).json({ error: 'Error processing your message' });
+  } finally {
+    client.release();
   }
+});
+
+// About page form submission handler
+app.post('/submit-about-inquiry', formIpLimiter, formEmailLimiter, verifyCaptcha, async (req, res) => {
+  const { name, email, subject, message } = req.body;
 
-  // Extract student information
-  const { name, email, phone, course, amount } = student_info;
+  if (!name || !email || !subject || !message) {
+    return res.status(400).json({ error: 'Name, email, subject, and message are required' });
+  }
 
   const client = await pool.connect();
 
   try {
     await client.query('BEGIN');
 
-    // Insert student record in database AFTER successful payment
-    const insertResult = await client.query(
-      'INSERT INTO students (name, email, phone, course, amount, payment_id, payment_status) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id',
-      [name, email, phone, course, amount, razorpay_payment_id, 'successful']
+    // Insert into the inquiry inbox
+    const aboutInquiry = await recordInquiry(client, 'about', req);
+
+    if (aboutInquiry && !aboutInquiry.is_quarantined) {
+      // Queue email notification
+      await queueAboutInquiryEmail(client, aboutInquiry);
+    }
+
+    await client.query('COMMIT');
+
+    res.json({ success: true, message: 'Your message has been sent successfully!' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error in about inquiry processing:', error);
+    res.status(500).json({ error: 'Error processing your message' });
+  } finally {
+    client.release();
+  }
+});
+
+// Inquiry inbox for contact and about page submissions. Admins see every
+// inquiry; teachers see the ones assigned to them.
+const INQUIRY_STATUSES = ['new', 'in_progress', 'replied', 'closed'];
+const INQUIRY_SOURCES = ['contact', 'about'];
+const MAX_INQUIRY_TAGS = 20;
+
+// Domain for the Message-ID of reply emails, so replies thread in the sender's mail client
+const EMAIL_MESSAGE_ID_DOMAIN = (process.env.EMAIL_USER || '').split('@')[1] || 'asta-education.local';
+
+// Validate status, assignee and tags for an inquiry update
+function validateInquiryUpdate(body) {
+  const errors = [];
+  const values = {};
+
+  if (body.status !== undefined) {
+    if (!INQUIRY_STATUSES.includes(body.status)) {
+      errors.push(`status must be one of: ${INQUIRY_STATUSES.join(', ')}`);
+    } else {
+      values.status = body.status;
+    }
+  }
+
+  if (body.assigned_to !== undefined) {
+    if (body.assigned_to === null) {
+      values.assigned_to = null;
+    } else if (!(parseInt(body.assigned_to, 10) > 0)) {
+      errors.push('assigned_to must be a user id or null');
+    } else {
+      values.assigned_to = parseInt(body.assigned_to, 10);
+    }
+  }
+
+  if (body.is_quarantined !== undefined) {
+    if (typeof body.is_quarantined !== 'boolean') {
+      errors.push('is_quarantined must be true or false');
+    } else {
+      values.is_quarantined = body.is_quarantined;
+    }
+  }
+
+  if (body.tags !== undefined) {
+    if (!Array.isArray(body.tags) || body.tags.some(tag => typeof tag !== 'string')) {
+      errors.push('tags must be an array of strings');
+    } else {
+      const tags = [...new Set(body.tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+      if (tags.length > MAX_INQUIRY_TAGS || tags.some(tag => tag.length > 30)) {
+        errors.push(`Up to ${MAX_INQUIRY_TAGS} tags of at most 30 characters are allowed`);
+      } else {
+        values.tags = tags;
+      }
+    }
+  }
+
+  return { errors, values };
+}
+
+// Load an inquiry the caller may work on, optionally locking it
+async function getInquiryForStaff(db, inquiryId, user, { forUpdate = false } = {}) {
+  const result = await db.query(
+    `SELECT * FROM inquiries WHERE id = $1 ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [inquiryId]
+  );
+  const inquiry = result.rows[0];
+
+  if (!inquiry || (user.role !== 'admin' && inquiry.assigned_to !== user.id)) {
+    return null;
+  }
+  return inquiry;
+}
+
+// List inquiries, newest first. Quarantined spam is left out unless ?quarantined=true.
+// (?status=&source=&assigned_to=<id>|me|none&tag=&q=&quarantined=&limit=&offset=)
+app.get('/api/inquiries', requireRole('admin', 'teacher'), async (req, res) => {
+  const { status, source, assigned_to, tag, q } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const offset = parseInt(req.query.offset, 10) || 0;
+
+  if (status && !INQUIRY_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${INQUIRY_STATUSES.join(', ')}` });
+  }
+  if (source && !INQUIRY_SOURCES.includes(source)) {
+    return res.status(400).json({ error: `source must be one of: ${INQUIRY_SOURCES.join(', ')}` });
+  }
+
+  const conditions = [req.query.quarantined === 'true' ? 'i.is_quarantined' : 'NOT i.is_quarantined'];
+  const params = [];
+
+  if (req.user.role !== 'admin' || assigned_to === 'me') {
+    params.push(req.user.id);
+    conditions.push(`i.assigned_to = $${params.length}`);
+  } else if (assigned_to === 'none') {
+    conditions.push('i.assigned_to IS NULL');
+  } else if (assigned_to) {
+    params.push(parseInt(assigned_to, 10) || 0);
+    conditions.push(`i.assigned_to = $${params.length}`);
+  }
+  if (status) {
+    params.push(status);
+    conditions.push(`i.status = $${params.length}`);
+  }
+  if (source) {
+    params.push(source);
+    conditions.push(`i.source = $${params.length}`);
+  }
+  if (tag) {
+    params.push(String(tag).toLowerCase());
+    conditions.push(`$${params.length} = ANY(i.tags)`);
+  }
+  if (q) {
+    params.push(`%${q}%`);
+    conditions.push(`(i.name ILIKE $${params.length} OR i.email ILIKE $${params.length}
+      OR i.subject ILIKE $${params.length} OR i.message ILIKE $${params.length})`);
+  }
+
+  params.push(limit, offset);
+
+  try {
+    const result = await pool.query(
+      `SELECT i.id, i.source, i.name, i.email, i.phone, i.subject, i.status, i.tags,
+         i.assigned_to, u.name AS assigned_to_name, i.is_quarantined, i.spam_reasons,
+         i.submission_date, i.updated_at,
+         COUNT(m.id) FILTER (WHERE m.kind = 'reply')::int AS reply_count,
+         GREATEST(i.submission_date, MAX(m.created_at)) AS last_activity_at
+       FROM inquiries i
+       LEFT JOIN users u ON u.id = i.assigned_to
+       LEFT JOIN inquiry_messages m ON m.inquiry_id = i.id
+       WHERE ${conditions.join(' AND ')}
+       GROUP BY i.id, u.name
+       ORDER BY i.submission_date DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
     );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching inquiries:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
 
-    const student_id = insertResult.rows[0].id;
+// One inquiry with its conversation: the original message, staff replies and internal notes
+app.get('/api/inquiries/:id', requireRole('admin', 'teacher'), async (req, res) => {
+  try {
+    const inquiry = await getInquiryForStaff(pool, parseInt(req.params.id, 10) || 0, req.user);
 
-    // Get complete student details with timestamp
-    const studentResult = await client.query(
-      'SELECT * FROM students WHERE id = $1',
-      [student_id]
+    if (!inquiry) {
+      return res.status(404).json({ error: 'Inquiry not found' });
+    }
+
+    const messagesResult = await pool.query(
+      `SELECT m.id, m.kind, m.body, m.created_at, m.author_id, u.name AS author_name,
+         m.email_outbox_id, o.status AS email_status
+       FROM inquiry_messages m
+       LEFT JOIN users u ON u.id = m.author_id
+       LEFT JOIN email_outbox o ON o.id = m.email_outbox_id
+       WHERE m.inquiry_id = $1
+       ORDER BY m.created_at, m.id`,
+      [inquiry.id]
     );
 
-    if (studentResult.rows.length === 0) {
-      throw new Error('Error fetching student details');
+    res.json({ ...inquiry, messages: messagesResult.rows });
+  } catch (err) {
+    console.error('Error fetching inquiry:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Update an inquiry's status, assignee, tags or quarantine flag. Only admins can
+// reassign or release quarantined inquiries; releasing sends no late notification.
+app.put('/api/inquiries/:id', requireRole('admin', 'teacher'), async (req, res) => {
+  const { errors, values } = validateInquiryUpdate(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(', ') });
+  }
+
+  if ((values.assigned_to !== undefined || values.is_quarantined !== undefined) && req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Only admins can reassign or quarantine inquiries' });
+  }
+
+  const fields = Object.keys(values);
+  if (fields.length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  try {
+    const inquiry = await getInquiryForStaff(pool, parseInt(req.params.id, 10) || 0, req.user);
+
+    if (!inquiry) {
+      return res.status(404).json({ error: 'Inquiry not found' });
     }
 
-    const student = studentResult.rows[0];
+    if (values.assigned_to) {
+      const assignee = await pool.query(
+        "SELECT id FROM users WHERE id = $1 AND role IN ('admin', 'teacher')",
+        [values.assigned_to]
+      );
+      if (assignee.rows.length === 0) {
+        return res.status(400).json({ error: 'Inquiries can only be assigned to admins or teachers' });
+      }
+    }
+
+    const result = await pool.query(
+      `UPDATE inquiries SET ${fields.map((field, index) => `${field} = $${index + 2}`).join(', ')},
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [inquiry.id, ...fields.map(field => values[field])]
+    );
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error updating inquiry:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Add an internal note to an inquiry. Notes are never emailed.
+app.post('/api/inquiries/:id/notes', requireRole('admin', 'teacher'), async (req, res) => {
+  const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+
+  if (!body) {
+    return res.status(400).json({ error: 'body is required' });
+  }
+
+  try {
+    const inquiry = await getInquiryForStaff(pool, parseInt(req.params.id, 10) || 0, req.user);
+
+    if (!inquiry) {
+      return res.status(404).json({ error: 'Inquiry not found' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO inquiry_messages (inquiry_id, kind, author_id, body)
+       VALUES ($1, 'note', $2, $3)
+       RETURNING *`,
+      [inquiry.id, req.user.id, body]
+    );
+    await pool.query('UPDATE inquiries SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [inquiry.id]);
+
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    console.error('Error adding inquiry note:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Reply to the sender by email. The reply is queued in the outbox, threaded
+// under earlier replies, and the inquiry is marked replied.
+app.post('/api/inquiries/:id/replies', requireRole('admin', 'teacher'), async (req, res) => {
+  const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+
+  if (!body) {
+    return res.status(400).json({ error: 'body is required' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const inquiry = await getInquiryForStaff(client, parseInt(req.params.id, 10) || 0, req.user, { forUpdate: true });
+
+    if (!inquiry) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Inquiry not found' });
+    }
+
+    const previousResult = await client.query(
+      `SELECT message_id FROM inquiry_messages
+       WHERE inquiry_id = $1 AND kind = 'reply' AND message_id IS NOT NULL
+       ORDER BY created_at, id`,
+      [inquiry.id]
+    );
+    const references = previousResult.rows.map(row => row.message_id);
+    const messageId = `<inquiry-${inquiry.id}-${crypto.randomUUID()}@${EMAIL_MESSAGE_ID_DOMAIN}>`;
+
+    const email = await queueEmail(client, 'inquiry-reply', { inquiry, body }, {
+      to: inquiry.email,
+      locale: inquiry.preferred_language,
+      mailOptions: {
+        messageId,
+        inReplyTo: references[references.length - 1],
+        references: references.length > 0 ? references : undefined
+      }
+    });
+
+    const result = await client.query(
+      `INSERT INTO inquiry_messages (inquiry_id, kind, author_id, body, email_outbox_id, message_id)
+       VALUES ($1, 'reply', $2, $3, $4, $5)
+       RETURNING *`,
+      [inquiry.id, req.user.id, body, email.id, messageId]
+    );
+
+    await client.query(
+      `UPDATE inquiries SET
+         status = 'replied', assigned_to = COALESCE(assigned_to, $2), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [inquiry.id, req.user.id]
+    );
+
+    await client.query('COMMIT');
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error replying to inquiry:', err);
+    res.status(500).json({ error: 'Error sending reply' });
+  } finally {
+    client.release();
+  }
+});
+
+// Queue the payment confirmation email
+async function queuePaymentConfirmationEmail(db, student, invoice) {
+  return queueEmail(db, 'payment-confirmation', {
+    student,
+    invoice,
+    hasDiscount: parseFloat(student.discount_amount) > 0
+  }, {
+    to: student.email,
+    bcc: process.env.EMAIL_USER, // Send a copy to admin
+    locale: student.preferred_language,
+    attachments: invoice ? [invoiceAttachment(invoice)] : []
+  });
+}
+
+// Queue the contact form notification email
+async function queueContactNotificationEmail(db, contactMessage) {
+  return queueEmail(db, 'contact-notification', { message: contactMessage }, {
+    to: process.env.EMAIL_USER, // Send to admin
+    locale: ADMIN_EMAIL_LOCALE
+  });
+}
+
+// Queue the about inquiry notification email
+async function queueAboutInquiryEmail(db, inquiry) {
+  return queueEmail(db, 'about-inquiry', { inquiry }, {
+    to: process.env.EMAIL_USER, // Send to admin
+    locale: ADMIN_EMAIL_LOCALE
+  });
+}
+
+// Queue the refund / enrollment cancellation email
+async function queueRefundEmail(db, student, refund) {
+  return queueEmail(db, 'refund', {
+    student,
+    refund,
+    fullyRefunded: student.payment_status === 'refunded'
+  }, {
+    to: student.email,
+    bcc: process.env.EMAIL_USER, // Send a copy to admin
+    locale: student.preferred_language
+  });
+}
+
+// Queue the installment reminder (or overdue notice) email
+async function queueInstallmentReminderEmail(db, installment) {
+  return queueEmail(db, 'installment-reminder', {
+    installment,
+    overdue: installment.status === 'overdue',
+    payLink: `${FRONTEND_URL}/pay-installment?token=${installment.pay_token}`
+  }, {
+    to: installment.email,
+    locale: installment.preferred_language
+  });
+}
+
+// Queue the receipt for a later installment payment
+async function queueInstallmentReceiptEmail(db, student, installment, invoice) {
+  return queueEmail(db, 'installment-receipt', { student, installment, invoice }, {
+    to: student.email,
+    bcc: process.env.EMAIL_USER, // Send a copy to admin
+    locale: student.preferred_language,
+    attachments: invoice ? [invoiceAttachment(invoice)] : []
+  });
+}
+
+// Queue the assignment graded / resubmission requested email
+async function queueAssignmentFeedbackEmail(db, submission) {
+  return queueEmail(db, 'assignment-feedback', {
+    submission,
+    resubmit: submission.status === 'resubmission_requested'
+  }, {
+    to: submission.student_email,
+    locale: submission.student_language
+  });
+}
+
+// Queue the course completion certificate email
+async function queueCertificateEmail(db, student, certificate) {
+  return queueEmail(db, 'certificate', {
+    certificate,
+    verifyUrl: `${PUBLIC_API_URL}/verify-certificate/${certificate.certificate_code}`
+  }, {
+    to: student.email,
+    bcc: process.env.EMAIL_USER, // Send a copy to admin
+    locale: student.preferred_language,
+    attachments: [{
+      filename: `${certificate.certificate_code}.pdf`,
+      content: certificate.pdf_data,
+      contentType: 'application/pdf'
+    }]
+  });
+}
+
+// Queue a low attendance alert for a student's guardian
+async function queueAttendanceAlertEmail(db, summary) {
+  return queueEmail(db, 'attendance-alert', { summary, threshold: ATTENDANCE_THRESHOLD }, {
+    to: summary.guardian_email,
+    bcc: process.env.EMAIL_USER, // Send a copy to admin
+    locale: summary.preferred_language
+  });
+}
 
-    // Update Excel file
-    await updateExcelFile(student);
+// List the email templates and the languages they can be previewed in
+app.get('/api/email-templates', requireRole('admin'), (req, res) => {
+  res.json(listEmailTemplates().map(name => ({ name, locales: EMAIL_LOCALES })));
+});
 
-    // Send email notification
-    await sendPaymentConfirmationEmail(student);
+// Render an email template with sample data (?locale=hi&format=html|text|json)
+app.get('/api/email-templates/:name/preview', requireRole('admin'), (req, res) => {
+  const { name } = req.params;
+  const locale = req.query.locale || DEFAULT_EMAIL_LOCALE;
+  const format = req.query.format || 'html';
 
-    await client.query('COMMIT');
+  if (!listEmailTemplates().includes(name)) {
+    return res.status(404).json({ error: 'Email template not found' });
+  }
 
-    res.json({ status: 'success', message: 'Payment successful and records updated' });
-  } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Error in post-payment processing:', error);
-    res.status(500).json({ status: 'error', message: 'Post-payment processing error' });
-  } finally {
-    client.release();
+  if (!EMAIL_LOCALES.includes(locale)) {
+    return res.status(400).json({ error: `locale must be one of: ${EMAIL_LOCALES.join(', ')}` });
   }
-});
 
-// API endpoint for user creation - Just the modified endpoint
-app.post('/api/users', async (req, res) => {
-  console.log('Received user creation request:', req.body);
-  const { uid, name, email, role } = req.body;
+  try {
+    const samples = JSON.parse(fs.readFileSync(path.join(EMAIL_TEMPLATE_DIR, 'samples.json'), 'utf8'));
+    const email = renderEmail(name, samples[name] || {}, locale);
 
-  if (!uid || !name || !email || !role) {
-    console.log('Missing required fields:', { uid, name, email, role });
-    return res.status(400).json({ error: 'All fields are required (uid, name, email, role)' });
+    if (format === 'json') {
+      return res.json(email);
+    }
+    if (format === 'text') {
+      return res.type('text/plain').send(`Subject: ${email.subject}\n\n${email.text}`);
+    }
+    res.type('html').send(email.html);
+  } catch (err) {
+    console.error('Error rendering email preview:', err);
+    res.status(500).json({ error: 'Error rendering email template' });
   }
+});
 
-  const client = await pool.connect();
+// Email outbox worker. Queued emails are retried with exponential backoff
+// (1 minute, 2, 4 ... capped at 6 hours) and dead-lettered after
+// EMAIL_MAX_ATTEMPTS failures, where admins can inspect and resend them.
+const EMAIL_OUTBOX_POLL_SECONDS = parseInt(process.env.EMAIL_OUTBOX_POLL_SECONDS, 10) || 15;
+const EMAIL_OUTBOX_BATCH_SIZE = 20;
+const EMAIL_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 8;
+const EMAIL_OUTBOX_RETENTION_DAYS = parseInt(process.env.EMAIL_OUTBOX_RETENTION_DAYS, 10) || 30;
+
+// Seconds to wait before retrying an email that has failed this many times
+function emailRetryDelaySeconds(attempts) {
+  return Math.min(60 * 2 ** (attempts - 1), 6 * 60 * 60);
+}
 
+async function processEmailOutbox() {
   try {
-    await client.query('BEGIN');
-
-    // Check if user with this uid or email already exists
-    const existingUserResult = await client.query(
-      'SELECT * FROM users WHERE uid = $1 OR email = $2',
-      [uid, email]
+    // Emails left "sending" by a crash or restart go back in the queue
+    await pool.query(
+      `UPDATE email_outbox SET status = 'pending', locked_at = NULL
+       WHERE status = 'sending' AND locked_at < NOW() - INTERVAL '10 minutes'`
     );
 
-    if (existingUserResult.rows.length > 0) {
-      console.log('User already exists with uid or email:', { uid, email });
-      return res.status(409).json({ error: 'User already exists' });
-    }
-
-    // Insert the new user
-    const insertResult = await client.query(
-      'INSERT INTO users (uid, name, email, role) VALUES ($1, $2, $3, $4) RETURNING id',
-      [uid, name, email, role]
+    const claimed = await pool.query(
+      `UPDATE email_outbox SET status = 'sending', locked_at = CURRENT_TIMESTAMP, attempts = attempts + 1
+       WHERE id IN (
+         SELECT id FROM email_outbox
+         WHERE status = 'pending' AND next_attempt_at <= NOW()
+         ORDER BY next_attempt_at, id
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [EMAIL_OUTBOX_BATCH_SIZE]
     );
 
-    await client.query('COMMIT');
+    let sent = 0;
+    for (const email of claimed.rows) {
+      try {
+        await deliverEmail(email);
+        await pool.query(
+          `UPDATE email_outbox SET status = 'sent', sent_at = CURRENT_TIMESTAMP, locked_at = NULL, last_error = NULL
+           WHERE id = $1`,
+          [email.id]
+        );
+        sent++;
+      } catch (error) {
+        const dead = email.attempts >= EMAIL_MAX_ATTEMPTS;
+        console.error(`Error sending ${email.template} email ${email.id} (attempt ${email.attempts}):`, error);
+
+        await pool.query(
+          `UPDATE email_outbox SET
+             status = $2, last_error = $3, locked_at = NULL,
+             next_attempt_at = NOW() + $4 * INTERVAL '1 second'
+           WHERE id = $1`,
+          [email.id, dead ? 'dead' : 'pending', String(error.message || error).slice(0, 2000), emailRetryDelaySeconds(email.attempts)]
+        );
+      }
+    }
 
-    console.log('User created successfully:', { userId: insertResult.rows[0].id });
-    res.status(201).json({
-      success: true,
-      message: 'User created successfully',
-      userId: insertResult.rows[0].id
-    });
-  } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Error creating user:', error);
-    res.status(500).json({ error: 'Error creating user: ' + error.message });
-  } finally {
-    client.release();
+    if (claimed.rowCount > 0) {
+      console.log(`Sent ${sent} of ${claimed.rowCount} queued emails`);
+    }
+  } catch (err) {
+    console.error('Error processing email outbox:', err);
   }
-});
+}
 
+setInterval(processEmailOutbox, EMAIL_OUTBOX_POLL_SECONDS * 1000);
 
-// New endpoint for file upload to Cloudinary
-app.post('/api/lms/upload', upload.single('file'), async (req, res) => {
+// Remove sent emails, with their attachments, once they are no longer useful for support
+async function purgeSentEmails() {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+    const result = await pool.query(
+      `DELETE FROM email_outbox WHERE status = 'sent' AND sent_at < NOW() - $1 * INTERVAL '1 day'`,
+      [EMAIL_OUTBOX_RETENTION_DAYS]
+    );
+
+    if (result.rowCount > 0) {
+      console.log(`Purged ${result.rowCount} sent emails from the outbox`);
     }
+  } catch (err) {
+    console.error('Error purging sent emails:', err);
+  }
+}
 
-    // The file has been uploaded to Cloudinary via the multer storage
-    const { title, description, createdBy, createdByEmail } = req.body;
-    const fileUrl = req.file.path; // Cloudinary URL
+setInterval(purgeSentEmails, 24 * 60 * 60 * 1000);
 
-    // Get content type based on original mimetype
-    let contentType;
-    switch (req.file.mimetype) {
-      case 'image/jpeg':
-      case 'image/jpg':
-      case 'image/png':
-        contentType = 'image';
-        break;
-      case 'application/pdf':
-        contentType = 'pdf';
-        break;
-      case 'video/mp4':
-        contentType = 'video';
-        break;
-      case 'application/vnd.openxmlformats-officedocument.presentationml.presentation':
-        contentType = 'ppt';
-        break;
-      case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
-      case 'application/msword':
-        contentType = 'word';
-        break;
-      default:
-        contentType = 'other';
-    }
+const EMAIL_OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'dead'];
 
-    // Store metadata in PostgreSQL
-    const client = await pool.connect();
-    try {
-      const result = await client.query(
-        `INSERT INTO lms_content 
-          (title, description, content_type, file_url, storage_path, file_size, file_name, created_by, created_by_email) 
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) 
-         RETURNING id`,
-        [
-          title,
-          description,
-          contentType,
-          fileURL,
-          req.file.path, // Using path as storage identifier
-          req.file.size,
-          req.file.originalname,
-          createdBy,
-          createdByEmail
-        ]
-      );
+// List outbox emails, newest first (?status=dead&template=&to=&limit=&offset=)
+app.get('/api/email-outbox', requireRole('admin'), async (req, res) => {
+  const { status, template, to } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const offset = parseInt(req.query.offset, 10) || 0;
 
-      res.status(201).json({
-        success: true,
-        message: 'Content uploaded successfully',
-        contentId: result.rows[0].id,
-        fileURL: fileURL
-      });
-    } catch (error) {
-      console.error('Error storing content metadata:', error);
+  if (status && !EMAIL_OUTBOX_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${EMAIL_OUTBOX_STATUSES.join(', ')}` });
+  }
 
-      // Clean up Cloudinary on database failure
-      try {
-        // Extract public_id from URL
-        const publicId = req.file.filename || req.file.public_id;
-        await cloudinary.uploader.destroy(publicId);
-      } catch (cleanupError) {
-        console.error('Error cleaning up Cloudinary resource:', cleanupError);
-      }
+  const conditions = [];
+  const params = [];
 
-      res.status(500).json({ error: 'Failed to store content metadata' });
-    } finally {
-      client.release();
-    }
-  } catch (error) {
-    console.error('Error uploading file:', error);
-    res.status(500).json({ error: 'Error uploading file: ' + error.message });
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+  if (template) {
+    params.push(template);
+    conditions.push(`template = $${params.length}`);
+  }
+  if (to) {
+    params.push(`%${to}%`);
+    conditions.push(`to_address ILIKE $${params.length}`);
+  }
+
+  params.push(limit, offset);
+
+  try {
+    const result = await pool.query(
+      `SELECT id, template, locale, to_address, subject, status, attempts, last_error,
+         next_attempt_at, sent_at, created_at, jsonb_array_length(attachments) AS attachment_count
+       FROM email_outbox
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY id DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching email outbox:', err);
+    res.status(500).json({ error: 'Database error' });
   }
 });
 
-// Add this new endpoint near your other API routes - replaced with the new upload endpoint above
-// Add this new endpoint near your other API routes
-app.post('/api/lms/content', async (req, res) => {
-  const {
-    title,
-    description,
-    fileUrl,  // Changed from fileURL to fileUrl to match frontend
-    fileName,
-    fileSize,
-    contentType,
-    fileType,
-    createdAt,
-    createdBy,
-    createdByEmail,
-    firebaseId
-  } = req.body;
+// One outbox email with its rendered content. Attachment contents are left out.
+app.get('/api/email-outbox/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM email_outbox WHERE id = $1', [parseInt(req.params.id, 10) || 0]);
 
-  // Validate required fields
-  const requiredFields = ['title', 'fileUrl', 'contentType', 'createdBy', 'firebaseId'];
-  const missingFields = requiredFields.filter(field => !req.body[field]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
 
-  if (missingFields.length > 0) {
-    return res.status(400).json({
-      error: `Missing required fields: ${missingFields.join(', ')}`
+    const email = result.rows[0];
+    res.json({
+      ...email,
+      attachments: email.attachments.map(({ filename, contentType, content }) => ({
+        filename,
+        contentType,
+        size: Buffer.byteLength(content, 'base64')
+      }))
     });
+  } catch (err) {
+    console.error('Error fetching outbox email:', err);
+    res.status(500).json({ error: 'Database error' });
   }
+});
 
-  const client = await pool.connect();
-
+// Queue a dead-lettered or already sent email to be sent again
+app.post('/api/email-outbox/:id/resend', requireRole('admin'), async (req, res) => {
   try {
-    const result = await client.query(
-      `INSERT INTO lms_content 
-        (title, description, content_type, file_url, storage_path, file_size, file_name, created_by, created_by_email, firebase_id) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) 
-       RETURNING id`,
-      [
-        title,
-        description || '',
-        contentType,
-        fileUrl,          // Changed from fileURL to fileUrl
-        fileUrl,          // Using fileUrl as storage_path since that's what you need
-        fileSize || 0,
-        fileName || '',
-        createdBy,
-        createdByEmail || '',
-        firebaseId
-      ]
+    const result = await pool.query(
+      `UPDATE email_outbox SET
+         status = 'pending', attempts = 0, last_error = NULL, next_attempt_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status IN ('dead', 'sent')
+       RETURNING id, template, to_address, subject, status`,
+      [parseInt(req.params.id, 10) || 0]
     );
 
-    console.log('Content uploaded successfully:', result.rows[0]);
+    if (result.rows.length === 0) {
+      const exists = await pool.query('SELECT status FROM email_outbox WHERE id = $1', [parseInt(req.params.id, 10) || 0]);
+      return exists.rows.length === 0
+        ? res.status(404).json({ error: 'Email not found' })
+        : res.status(409).json({ error: `Email is already ${exists.rows[0].status}` });
+    }
 
-    res.status(201).json({
-      success: true,
-      message: 'Content uploaded successfully',
-      contentId: result.rows[0].id
-    });
-  } catch (error) {
-    console.error('Error storing content metadata:', error);
-    res.status(500).json({ error: 'Failed to store content metadata: ' + error.message });
-  } finally {
-    client.release();
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error resending outbox email:', err);
+    res.status(500).json({ error: 'Database error' });
   }
 });
 
-// Add endpoint to retrieve content
-app.get('/api/lms/content', async (req, res) => {
+// Queue every dead-lettered email again, e.g. after a mail provider outage (optional ?template=)
+app.post('/api/email-outbox/resend-dead', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE email_outbox SET
+         status = 'pending', attempts = 0, last_error = NULL, next_attempt_at = CURRENT_TIMESTAMP
+       WHERE status = 'dead' AND ($1::text IS NULL OR template = $1)`,
+      [req.query.template || null]
+    );
+
+    res.json({ success: true, requeued: result.rowCount });
+  } catch (err) {
+    console.error('Error resending dead emails:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Get all students
+app.get('/api/students', requireRole('admin'), async (req, res) => {
+  const overdueOnly = req.query.overdue === 'true';
+
   try {
-    const result = await pool.query('SELECT * FROM lms_content ORDER BY created_at DESC');
+    // has_overdue_installment flags students behind on an installment plan
+    const result = await pool.query(`
+      SELECT * FROM (
+        SELECT s.*, c.title AS course_title, EXISTS (
+          SELECT 1 FROM installment_enrollments e
+          JOIN installment_payments i ON i.enrollment_id = e.id
+          WHERE e.student_id = s.id AND i.status = 'overdue'
+        ) AS has_overdue_installment
+        FROM students s
+        LEFT JOIN courses c ON c.id = s.course_id
+      ) students
+      ${overdueOnly ? 'WHERE has_overdue_installment' : ''}
+      ORDER BY registration_date DESC
+    `);
+
     res.json(result.rows);
   } catch (err) {
-    console.error('Error fetching LMS content:', err);
+    console.error('Error fetching student data:', err);
     res.status(500).json({ error: 'Database error' });
   }
 });
 
-// Contact form submission handler
-app.post('/submit-contact', async (req, res) => {
-  const { name, email, phone, subject, message } = req.body;
+// Razorpay payments behind a student record, oldest first, with the amount each
+// captured and how much of it has been refunded. An installment student has one
+// payment per paid installment; anyone else has the single payment_id.
+async function getStudentPayments(db, studentId) {
+  const result = await db.query(
+    `SELECT p.payment_id, p.amount, COALESCE((
+       SELECT SUM(r.amount) FROM refunds r
+       WHERE r.student_id = $1 AND r.payment_id = p.payment_id AND r.status <> 'failed'
+     ), 0) AS refunded
+     FROM (
+       SELECT i.payment_id, COALESCE(o.amount, i.amount) AS amount, i.paid_at
+       FROM installment_payments i
+       JOIN installment_enrollments e ON e.id = i.enrollment_id
+       LEFT JOIN orders o ON o.installment_id = i.id AND o.payment_id = i.payment_id
+       WHERE e.student_id = $1 AND i.status = 'paid'
+       UNION ALL
+       SELECT s.payment_id, s.amount, s.registration_date
+       FROM students s
+       WHERE s.id = $1 AND s.payment_id IS NOT NULL
+         AND NOT EXISTS (SELECT 1 FROM installment_enrollments e WHERE e.student_id = s.id)
+     ) p
+     ORDER BY p.paid_at`,
+    [studentId]
+  );
+
+  return result.rows.map(row => {
+    const amount = parseFloat(row.amount);
+    const refunded = parseFloat(row.refunded);
+    return { payment_id: row.payment_id, amount, refunded, refundable: Math.max(amount - refunded, 0) };
+  });
+}
 
-  if (!name || !email || !subject || !message) {
-    return res.status(400).json({ error: 'Name, email, subject, and message are required' });
+// Recalculate a student's payment_status from the refunds recorded against it.
+// The student counts as refunded once every one of their payments is.
+async function updateRefundStatus(client, studentId) {
+  const payments = await getStudentPayments(client, studentId);
+  const fullyRefunded = payments.length > 0 && payments.every(payment => payment.refundable < 0.005);
+
+  const result = await client.query(
+    `UPDATE students s SET payment_status = CASE
+       WHEN $2 THEN 'refunded'
+       WHEN r.total > 0 THEN 'partially_refunded'
+       WHEN s.payment_status IN ('refunded', 'partially_refunded') THEN 'successful'
+       ELSE s.payment_status
+     END
+     FROM (
+       SELECT COALESCE(SUM(amount), 0) AS total FROM refunds
+       WHERE student_id = $1 AND status <> 'failed'
+     ) r
+     WHERE s.id = $1
+     RETURNING s.*, (SELECT title FROM courses WHERE id = s.course_id) AS course_title`,
+    [studentId, fullyRefunded]
+  );
+
+  return result.rows[0];
+}
+
+// Split a refund (in paise) across payments, newest payment first, never asking
+// for more than a payment has left to refund
+function allocateRefund(payments, amountPaise) {
+  const allocations = [];
+  let remaining = amountPaise;
+
+  for (const payment of [...payments].reverse()) {
+    const share = Math.min(remaining, Math.round(payment.refundable * 100));
+    if (share > 0) {
+      allocations.push({ payment_id: payment.payment_id, amount: share / 100 });
+      remaining -= share;
+    }
   }
 
+  return allocations;
+}
+
+// Refund a student's payment, fully or partially, through Razorpay. Students on
+// an installment plan paid with several payments: the amount is taken from the
+// newest payment first, or only from { payment_id } when given.
+app.post('/api/students/:id/refund', requireRole('admin'), async (req, res) => {
+  const studentId = parseInt(req.params.id, 10) || 0;
+  const { amount, reason, payment_id: paymentId } = req.body;
+
   const client = await pool.connect();
+  let student;
+  let refundRecords = [];
 
   try {
     await client.query('BEGIN');
 
-    // Insert into database
-    const insertResult = await client.query(
-      'INSERT INTO contact_messages (name, email, phone, subject, message) VALUES ($1, $2, $3, $4, $5) RETURNING id',
-      [name, email, phone || '', subject, message]
+    const studentResult = await client.query(
+      'SELECT * FROM students WHERE id = $1 FOR UPDATE',
+      [studentId]
     );
 
-    const messageId = insertResult.rows[0].id;
+    if (studentResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    student = studentResult.rows[0];
 
-    // Get complete message details with timestamp
-    const messageResult = await client.query(
-      'SELECT * FROM contact_messages WHERE id = $1',
-      [messageId]
-    );
+    if (!student.payment_id || !['successful', 'partially_refunded'].includes(student.payment_status)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'This payment cannot be refunded' });
+    }
 
-    if (messageResult.rows.length === 0) {
-      throw new Error('Error fetching contact message details');
+    let payments = await getStudentPayments(client, studentId);
+
+    if (paymentId !== undefined) {
+      payments = payments.filter(payment => payment.payment_id === paymentId);
+
+      if (payments.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'payment_id is not a payment of this student' });
+      }
     }
 
-    const contactMessage = messageResult.rows[0];
+    const refundable = payments.reduce((total, payment) => total + payment.refundable, 0);
 
-    // Update Excel file
-    await updateContactExcel(contactMessage);
+    // Without an amount the whole remaining balance is refunded
+    const refundAmount = amount === undefined ? refundable : parseFloat(amount);
 
-    // Send email notification
-    await sendContactNotificationEmail(contactMessage);
+    if (isNaN(refundAmount) || refundAmount <= 0 || refundAmount > refundable + 0.001) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: `Refund amount must be between 0 and ${refundable.toFixed(2)}` });
+    }
 
-    await client.query('COMMIT');
+    // Record each refund before asking Razorpay for it. Once committed they count
+    // against the refundable balance, so a retry cannot refund the money twice.
+    for (const allocation of allocateRefund(payments, Math.round(refundAmount * 100))) {
+      const requestedResult = await client.query(
+        `INSERT INTO refunds (student_id, payment_id, amount, reason, status)
+         VALUES ($1, $2, $3, $4, 'requested')
+         RETURNING *`,
+        [studentId, allocation.payment_id, allocation.amount, reason || null]
+      );
+      refundRecords.push(requestedResult.rows[0]);
+    }
 
-    res.json({ success: true, message: 'Your message has been sent successfully!' });
+    await client.query('COMMIT');
   } catch (error) {
     await client.query('ROLLBACK');
-    console.error('Error in contact form processing:', error);
-    res.status(500).json({ error: 'Error processing your message' });
+    console.error('Error refunding student payment:', error);
+    return res.status(500).json({ error: 'Error processing refund' });
   } finally {
     client.release();
   }
-});
 
-// About page form submission handler
-app.post('/submit-about-inquiry', async (req, res) => {
-  const { name, email, subject, message } = req.body;
+  const issued = [];
+  const failed = [];
 
-  if (!name || !email || !subject || !message) {
-    return res.status(400).json({ error: 'Name, email, subject, and message are required' });
+  for (const record of refundRecords) {
+    try {
+      // refund_record_id lets the refund webhook find this row if recording the result below fails
+      const refund = await razorpay.payments.refund(record.payment_id, {
+        amount: Math.round(parseFloat(record.amount) * 100),
+        notes: {
+          refund_record_id: String(record.id),
+          ...(reason ? { reason: String(reason).slice(0, 256) } : {})
+        }
+      });
+      issued.push({ record, refund });
+    } catch (error) {
+      console.error('Error refunding student payment:', record.payment_id, error);
+
+      // Razorpay turned the refund down, so its amount is refundable again. After
+      // any other error (e.g. a timeout) the refund may still have gone through:
+      // the row stays 'requested' until the refund webhook settles it.
+      if (error.error && error.error.description) {
+        await pool.query(
+          "UPDATE refunds SET status = 'failed', updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+          [record.id]
+        );
+        failed.push({ payment_id: record.payment_id, amount: record.amount, error: 'Razorpay error: ' + error.error.description });
+      } else {
+        failed.push({
+          payment_id: record.payment_id,
+          amount: record.amount,
+          error: 'Could not confirm the refund with Razorpay, check its status before retrying'
+        });
+      }
+    }
   }
 
-  const client = await pool.connect();
-
-  try {
-    await client.query('BEGIN');
-
-    // Insert into database
-    const insertResult = await client.query(
-      'INSERT INTO about_inquiries (name, email, subject, message) VALUES ($1, $2, $3, $4) RETURNING id',
-      [name, email, subject, message]
-    );
-
-    const inquiryId = insertResult.rows[0].id;
+  if (issued.length === 0) {
+    const rejected = failed.every(failure => failure.error.startsWith('Razorpay error: '));
+    return res.status(rejected ? 400 : 502).json({ error: failed.map(failure => failure.error).join('; '), failed });
+  }
 
-    // Get complete inquiry details with timestamp
-    const inquiryResult = await client.query(
-      'SELECT * FROM about_inquiries WHERE id = $1',
-      [inquiryId]
-    );
+  const recordClient = await pool.connect();
 
-    if (inquiryResult.rows.length === 0) {
-      throw new Error('Error fetching about inquiry details');
+  try {
+    await recordClient.query('BEGIN');
+
+    refundRecords = [];
+    for (const { record, refund } of issued) {
+      const refundResult = await recordClient.query(
+        `UPDATE refunds SET razorpay_refund_id = $2, amount = $3, status = $4, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [record.id, refund.id, refund.amount / 100, refund.status || 'pending']
+      );
+      refundRecords.push(refundResult.rows[0]);
     }
 
-    const aboutInquiry = inquiryResult.rows[0];
-
-    // Update Excel file
-    await updateAboutExcel(aboutInquiry);
+    student = await updateRefundStatus(recordClient, studentId);
 
-    // Send email notification
-    await sendAboutInquiryEmail(aboutInquiry);
-
-    await client.query('COMMIT');
+    for (const refundRecord of refundRecords) {
+      await queueRefundEmail(recordClient, student, refundRecord);
+    }
 
-    res.json({ success: true, message: 'Your message has been sent successfully!' });
+    await recordClient.query('COMMIT');
   } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Error in about inquiry processing:', error);
-    res.status(500).json({ error: 'Error processing your message' });
+    await recordClient.query('ROLLBACK');
+    console.error('Error recording Razorpay refunds:', issued.map(({ refund }) => refund.id), error);
+
+    // The money has been refunded: keep at least the Razorpay ids on the rows
+    for (const { record, refund } of issued) {
+      await pool.query(
+        `UPDATE refunds SET razorpay_refund_id = $2, status = 'pending', updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [record.id, refund.id]
+      );
+    }
+
+    return res.status(500).json({
+      error: 'The refund was issued but could not be fully recorded, it will be reconciled by the Razorpay webhook',
+      razorpay_refund_ids: issued.map(({ refund }) => refund.id),
+      failed
+    });
   } finally {
-    client.release();
+    recordClient.release();
   }
-});
 
-// Function to update Students Excel file
-async function updateExcelFile(student) {
-  return new Promise((resolve, reject) => {
-    try {
-      let workbook;
-      let worksheet;
+  res.json({
+    success: failed.length === 0,
+    message: failed.length === 0
+      ? 'Refund initiated successfully'
+      : 'Refund initiated for some payments only, see failed',
+    refunds: refundRecords,
+    failed,
+    payment_status: student.payment_status
+  });
+});
 
-      if (fs.existsSync(excelFilePath)) {
-        // Read existing file
-        workbook = xlsx.readFile(excelFilePath);
-        worksheet = workbook.Sheets['Students'];
-      } else {
-        // Create new file
-        workbook = xlsx.utils.book_new();
-        worksheet = xlsx.utils.json_to_sheet([]);
-        xlsx.utils.book_append_sheet(workbook, worksheet, 'Students');
-      }
+// List refunds recorded against a student
+app.get('/api/students/:id/refunds', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM refunds WHERE student_id = $1 ORDER BY created_at DESC',
+      [parseInt(req.params.id, 10) || 0]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching refunds:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
 
-      // Convert worksheet to JSON to get existing data
-      const existingData = worksheet ? xlsx.utils.sheet_to_json(worksheet) : [];
-
-      // Add new student data
-      existingData.push({
-        ID: student.id,
-        Name: student.name,
-        Email: student.email,
-        Phone: student.phone,
-        Course: student.course,
-        Amount: student.amount,
-        'Payment ID': student.payment_id,
-        'Payment Status': student.payment_status,
-        'Registration Date': new Date(student.registration_date).toLocaleString()
-      });
+// GST invoice configuration
+const GST_CONFIG = {
+  legalName: process.env.GST_LEGAL_NAME || 'ASTA Education Academy',
+  address: process.env.GST_ADDRESS || '',
+  gstin: process.env.GST_GSTIN || '',
+  stateCode: process.env.GST_STATE_CODE || (process.env.GST_GSTIN || '').slice(0, 2),
+  sacCode: process.env.GST_SAC_CODE || '999293', // Commercial training and coaching services
+  rate: parseFloat(process.env.GST_RATE || '18'),
+  invoicePrefix: (process.env.INVOICE_PREFIX || 'ASTA').slice(0, 4)
+};
 
-      // Convert back to worksheet and save
-      const newWorksheet = xlsx.utils.json_to_sheet(existingData);
-      workbook.Sheets['Students'] = newWorksheet;
-      xlsx.writeFile(workbook, excelFilePath);
+// Indian financial year (April to March, IST) for a date, e.g. '2026-27'
+function getFinancialYear(date) {
+  const ist = new Date(date.getTime() + 330 * 60 * 1000);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
 
-      console.log('Students Excel file updated successfully');
-      resolve();
-    } catch (error) {
-      console.error('Error updating Students Excel file:', error);
-      reject(error);
-    }
-  });
+// Split a GST-inclusive amount into taxable value and CGST/SGST or IGST
+function calculateGst(totalAmount, placeOfSupply) {
+  const rate = GST_CONFIG.rate;
+  const total = parseFloat(totalAmount);
+  const taxableValue = Math.round(total / (1 + rate / 100) * 100) / 100;
+  const tax = Math.round((total - taxableValue) * 100) / 100;
+
+  // Intra-state supplies carry CGST + SGST, inter-state supplies carry IGST
+  if (!GST_CONFIG.stateCode || placeOfSupply === GST_CONFIG.stateCode) {
+    const cgst = Math.round(tax / 2 * 100) / 100;
+    return {
+      taxable_value: taxableValue,
+      cgst_rate: rate / 2,
+      cgst_amount: cgst,
+      sgst_rate: rate / 2,
+      sgst_amount: Math.round((tax - cgst) * 100) / 100,
+      igst_rate: 0,
+      igst_amount: 0,
+      total_amount: total
+    };
+  }
+
+  return {
+    taxable_value: taxableValue,
+    cgst_rate: 0,
+    cgst_amount: 0,
+    sgst_rate: 0,
+    sgst_amount: 0,
+    igst_rate: rate,
+    igst_amount: tax,
+    total_amount: total
+  };
 }
 
-// Function to update Contact Messages Excel file
-async function updateContactExcel(contactMessage) {
+// Render an invoice row to a PDF buffer
+function generateInvoicePdf(invoice) {
   return new Promise((resolve, reject) => {
-    try {
-      let workbook;
-      let worksheet;
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
 
-      if (fs.existsSync(contactExcelPath)) {
-        // Read existing file
-        workbook = xlsx.readFile(contactExcelPath);
-        worksheet = workbook.Sheets['Contact Messages'];
-      } else {
-        // Create new file
-        workbook = xlsx.utils.book_new();
-        worksheet = xlsx.utils.json_to_sheet([]);
-        xlsx.utils.book_append_sheet(workbook, worksheet, 'Contact Messages');
-      }
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
 
-      // Convert worksheet to JSON to get existing data
-      const existingData = worksheet ? xlsx.utils.sheet_to_json(worksheet) : [];
-
-      // Add new contact message data
-      existingData.push({
-        ID: contactMessage.id,
-        Name: contactMessage.name,
-        Email: contactMessage.email,
-        Phone: contactMessage.phone || 'N/A',
-        Subject: contactMessage.subject,
-        Message: contactMessage.message,
-        'Submission Date': new Date(contactMessage.submission_date).toLocaleString()
-      });
+    // The built-in PDF fonts have no rupee glyph
+    const money = value => `INR ${parseFloat(value).toFixed(2)}`;
 
-      // Convert back to worksheet and save
-      const newWorksheet = xlsx.utils.json_to_sheet(existingData);
-      workbook.Sheets['Contact Messages'] = newWorksheet;
-      xlsx.writeFile(workbook, contactExcelPath);
+    doc.fillColor('#4b0082').fontSize(20).text('TAX INVOICE', { align: 'center' });
+    doc.moveDown();
 
-      console.log('Contact Messages Excel file updated successfully');
-      resolve();
-    } catch (error) {
-      console.error('Error updating Contact Messages Excel file:', error);
-      reject(error);
+    doc.fillColor('#000').fontSize(12).text(GST_CONFIG.legalName);
+    doc.fontSize(10);
+    if (GST_CONFIG.address) {
+      doc.text(GST_CONFIG.address);
     }
-  });
-}
-
-// Function to update About Inquiries Excel file
-async function updateAboutExcel(aboutInquiry) {
-  return new Promise((resolve, reject) => {
-    try {
-      let workbook;
-      let worksheet;
+    doc.text(`GSTIN: ${GST_CONFIG.gstin || 'N/A'}`);
+    doc.moveDown();
+
+    doc.text(`Invoice Number: ${invoice.invoice_number}`);
+    doc.text(`Invoice Date: ${new Date(invoice.issued_at).toLocaleDateString('en-IN')}`);
+    doc.text(`Place of Supply (State Code): ${invoice.place_of_supply}`);
+    doc.text(`Payment ID: ${invoice.payment_id}`);
+    doc.moveDown();
+
+    doc.fontSize(11).text('Bill To:');
+    doc.fontSize(10).text(invoice.customer_name);
+    doc.text(invoice.customer_email);
+    if (invoice.customer_phone) {
+      doc.text(invoice.customer_phone);
+    }
+    doc.moveDown();
 
-      if (fs.existsSync(aboutExcelPath)) {
-        // Read existing file
-        workbook = xlsx.readFile(aboutExcelPath);
-        worksheet = workbook.Sheets['About Inquiries'];
-      } else {
-        // Create new file
-        workbook = xlsx.utils.book_new();
-        worksheet = xlsx.utils.json_to_sheet([]);
-        xlsx.utils.book_append_sheet(workbook, worksheet, 'About Inquiries');
-      }
+    const rows = [
+      ['Description', invoice.description],
+      ['SAC Code', invoice.sac_code],
+      ['Gross Amount', money(invoice.gross_amount)]
+    ];
+    if (parseFloat(invoice.discount_amount) > 0) {
+      rows.push(['Discount', `- ${money(invoice.discount_amount)}`]);
+    }
+    rows.push(['Taxable Value', money(invoice.taxable_value)]);
+    if (parseFloat(invoice.igst_rate) > 0) {
+      rows.push([`IGST @ ${parseFloat(invoice.igst_rate)}%`, money(invoice.igst_amount)]);
+    } else {
+      rows.push([`CGST @ ${parseFloat(invoice.cgst_rate)}%`, money(invoice.cgst_amount)]);
+      rows.push([`SGST @ ${parseFloat(invoice.sgst_rate)}%`, money(invoice.sgst_amount)]);
+    }
+    rows.push(['Total (incl. GST)', money(invoice.total_amount)]);
 
-      // Convert worksheet to JSON to get existing data
-      const existingData = worksheet ? xlsx.utils.sheet_to_json(worksheet) : [];
-
-      // Add new about inquiry data
-      existingData.push({
-        ID: aboutInquiry.id,
-        Name: aboutInquiry.name,
-        Email: aboutInquiry.email,
-        Subject: aboutInquiry.subject,
-        Message: aboutInquiry.message,
-        'Submission Date': new Date(aboutInquiry.submission_date).toLocaleString()
-      });
+    for (const [label, value] of rows) {
+      const y = doc.y;
+      doc.text(label, 50, y, { width: 200 });
+      doc.text(value, 260, y, { width: 285, align: 'right' });
+      doc.moveDown(0.5);
+    }
 
-      // Convert back to worksheet and save
-      const newWorksheet = xlsx.utils.json_to_sheet(existingData);
-      workbook.Sheets['About Inquiries'] = newWorksheet;
-      xlsx.writeFile(workbook, aboutExcelPath);
+    doc.moveDown(2);
+    doc.fontSize(8).fillColor('#666').text('This is a computer-generated invoice and does not require a signature.', 50, doc.y, { align: 'center' });
 
-      console.log('About Inquiries Excel file updated successfully');
-      resolve();
-    } catch (error) {
-      console.error('Error updating About Inquiries Excel file:', error);
-      reject(error);
-    }
+    doc.end();
   });
 }
 
-// Function to send payment confirmation email
-async function sendPaymentConfirmationEmail(student) {
-  return new Promise((resolve, reject) => {
-    // Prepare email content
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: student.email,
-      bcc: process.env.EMAIL_USER, // Send a copy to admin
-      subject: 'Course Registration Confirmation - ASTA Education Academy',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 5px;">
-          <h2 style="color: #4b0082; text-align: center;">Registration Confirmation</h2>
-          <p>Dear ${student.name},</p>
-          <p>Thank you for registering with ASTA Education Academy. Your payment has been successfully processed.</p>
-          <div style="background-color: #f9f9f9; padding: 15px; border-radius: 5px; margin: 15px 0;">
-            <h3 style="margin-top: 0; color: #4b0082;">Registration Details:</h3>
-            <p><strong>Course:</strong> ${student.course}</p>
-            <p><strong>Amount Paid:</strong> ₹${student.amount}</p>
-            <p><strong>Payment ID:</strong> ${student.payment_id}</p>
-            <p><strong>Registration Date:</strong> ${new Date(student.registration_date).toLocaleString()}</p>
-          </div>
-          <p>We look forward to providing you with a great learning experience.</p>
-          <p>If you have any questions, please don't hesitate to contact us.</p>
-          <p>Best regards,<br>ASTA Education Academy Team</p>
-        </div>
-      `
-    };
+// Issue the invoice for a paid order. Must run inside the payment transaction
+// so a rollback also releases the invoice number.
+async function createInvoice(client, order, student, paymentId) {
+  const issuedAt = new Date();
+  const financialYear = getFinancialYear(issuedAt);
+
+  const sequenceResult = await client.query(
+    `INSERT INTO invoice_sequences (financial_year, last_number) VALUES ($1, 1)
+     ON CONFLICT (financial_year) DO UPDATE SET last_number = invoice_sequences.last_number + 1
+     RETURNING last_number`,
+    [financialYear]
+  );
+  const sequenceNumber = sequenceResult.rows[0].last_number;
+
+  // e.g. ASTA-2627-000042 (GST allows at most 16 characters)
+  const invoiceNumber = `${GST_CONFIG.invoicePrefix}-${financialYear.slice(2, 4)}${financialYear.slice(5)}-${String(sequenceNumber).padStart(6, '0')}`;
+  const placeOfSupply = order.billing_state_code || GST_CONFIG.stateCode || '00';
+
+  const invoice = {
+    invoice_number: invoiceNumber,
+    financial_year: financialYear,
+    sequence_number: sequenceNumber,
+    order_id: order.id,
+    student_id: student.id,
+    payment_id: paymentId,
+    customer_name: order.name,
+    customer_email: order.email,
+    customer_phone: order.phone,
+    place_of_supply: placeOfSupply,
+    description: order.installment_id ? `${student.course_title} (installment)` : student.course_title,
+    sac_code: GST_CONFIG.sacCode,
+    gross_amount: order.original_amount || order.amount,
+    discount_amount: order.discount_amount || 0,
+    issued_at: issuedAt,
+    ...calculateGst(order.amount, placeOfSupply)
+  };
+
+  invoice.pdf_data = await generateInvoicePdf(invoice);
+
+  const columns = Object.keys(invoice);
+  const result = await client.query(
+    `INSERT INTO invoices (${columns.join(', ')})
+     VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')})
+     RETURNING *`,
+    columns.map(column => invoice[column])
+  );
+
+  return result.rows[0];
+}
 
-    // Send email
-    transporter.sendMail(mailOptions, (error, info) => {
-      if (error) {
-        console.error('Error sending payment confirmation email:', error);
-        reject(error);
-      } else {
-        console.log('Payment confirmation email sent:', info.response);
-        resolve();
-      }
-    });
-  });
+// Nodemailer attachment for an invoice PDF
+function invoiceAttachment(invoice) {
+  return {
+    filename: `${invoice.invoice_number}.pdf`,
+    content: invoice.pdf_data,
+    contentType: 'application/pdf'
+  };
 }
 
-// Function to send contact form notification email
-async function sendContactNotificationEmail(contactMessage) {
-  return new Promise((resolve, reject) => {
-    // Prepare email content
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: process.env.EMAIL_USER, // Send to admin
-      subject: `New Contact Form Submission: ${contactMessage.subject}`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 5px;">
-         <h2 style="color: #4b0082; text-align: center;">New Contact Form Submission</h2>
-          <p><strong>Name:</strong> ${contactMessage.name}</p>
-          <p><strong>Email:</strong> ${contactMessage.email}</p>
-          <p><strong>Phone:</strong> ${contactMessage.phone || 'Not provided'}</p>
-          <p><strong>Subject:</strong> ${contactMessage.subject}</p>
-          <p><strong>Message:</strong></p>
-          <div style="background-color: #f9f9f9; padding: 15px; border-radius: 5px; margin: 15px 0;">
-            ${contactMessage.message}
-          </div>
-          <p>Submitted on: ${new Date(contactMessage.submission_date).toLocaleString()}</p>
-        </div>
-      `
-    };
+// Monthly invoice register, as JSON or xlsx (?month=YYYY-MM&format=xlsx)
+app.get('/api/invoices/register', requireRole('admin'), async (req, res) => {
+  const { month, format } = req.query;
 
-    // Send email
-    transporter.sendMail(mailOptions, (error, info) => {
-      if (error) {
-        console.error('Error sending contact notification email:', error);
-        reject(error);
-      } else {
-        console.log('Contact notification email sent:', info.response);
-        resolve();
-      }
-    });
-  });
-}
+  if (!month || !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+    return res.status(400).json({ error: 'month is required in YYYY-MM format' });
+  }
 
-// Function to send about inquiry notification email
-async function sendAboutInquiryEmail(inquiry) {
-  return new Promise((resolve, reject) => {
-    // Prepare email content
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: process.env.EMAIL_USER, // Send to admin
-      subject: `New About Page Inquiry: ${inquiry.subject}`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 5px;">
-          <h2 style="color: #4b0082; text-align: center;">New About Page Inquiry</h2>
-          <p><strong>Name:</strong> ${inquiry.name}</p>
-          <p><strong>Email:</strong> ${inquiry.email}</p>
-          <p><strong>Subject:</strong> ${inquiry.subject}</p>
-          <p><strong>Message:</strong></p>
-          <div style="background-color: #f9f9f9; padding: 15px; border-radius: 5px; margin: 15px 0;">
-            ${inquiry.message}
-          </div>
-          <p>Submitted on: ${new Date(inquiry.submission_date).toLocaleString()}</p>
-        </div>
-      `
-    };
+  try {
+    // Months are calendar months in IST, matching the invoice dates
+    const result = await pool.query(
+      `SELECT invoice_number, issued_at, customer_name, customer_email, place_of_supply, sac_code,
+         gross_amount, discount_amount, taxable_value, cgst_amount, sgst_amount, igst_amount,
+         total_amount, payment_id
+       FROM invoices
+       WHERE TO_CHAR(issued_at AT TIME ZONE 'UTC' AT TIME ZONE 'Asia/Kolkata', 'YYYY-MM') = $1
+       ORDER BY financial_year, sequence_number`,
+      [month]
+    );
 
-    // Send email
-    transporter.sendMail(mailOptions, (error, info) => {
-      if (error) {
-        console.error('Error sending about inquiry notification email:', error);
-        reject(error);
-      } else {
-        console.log('About inquiry notification email sent:', info.response);
-        resolve();
-      }
-    });
-  });
-}
+    if (format !== 'xlsx') {
+      return res.json(result.rows);
+    }
 
-// Get all students
-app.get('/api/students', async (req, res) => {
+    const worksheet = xlsx.utils.json_to_sheet(result.rows.map(invoice => ({
+      'Invoice Number': invoice.invoice_number,
+      'Invoice Date': new Date(invoice.issued_at).toLocaleDateString('en-IN'),
+      Customer: invoice.customer_name,
+      Email: invoice.customer_email,
+      'Place of Supply': invoice.place_of_supply,
+      'SAC Code': invoice.sac_code,
+      'Gross Amount': parseFloat(invoice.gross_amount),
+      Discount: parseFloat(invoice.discount_amount),
+      'Taxable Value': parseFloat(invoice.taxable_value),
+      CGST: parseFloat(invoice.cgst_amount),
+      SGST: parseFloat(invoice.sgst_amount),
+      IGST: parseFloat(invoice.igst_amount),
+      Total: parseFloat(invoice.total_amount),
+      'Payment ID': invoice.payment_id
+    })));
+
+    sendWorksheet(res, worksheet, 'Invoice Register', `invoice-register-${month}.xlsx`);
+  } catch (err) {
+    console.error('Error building invoice register:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Download an invoice PDF by number
+app.get('/api/invoices/:number', requireRole('admin'), async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM students ORDER BY registration_date DESC');
-    res.json(result.rows);
+    const result = await pool.query(
+      'SELECT invoice_number, pdf_data FROM invoices WHERE invoice_number = $1',
+      [req.params.number]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    const invoice = result.rows[0];
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoice_number}.pdf"`);
+    res.send(invoice.pdf_data);
   } catch (err) {
-    console.error('Error fetching student data:', err);
+    console.error('Error fetching invoice:', err);
     res.status(500).json({ error: 'Database error' });
   }
 });
 
 // Get all contact messages
-app.get('/api/contact-messages', async (req, res) => {
+app.get('/api/contact-messages', requireRole('admin'), async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM contact_messages ORDER BY submission_date DESC');
+    const result = await pool.query("SELECT * FROM inquiries WHERE source = 'contact' AND NOT is_quarantined ORDER BY submission_date DESC");
     res.json(result.rows);
   } catch (err) {
     console.error('Error fetching contact messages:', err);
@@ -1006,9 +9091,9 @@ app.get('/api/contact-messages', async (req, res) => {
 });
 
 // Get all about inquiries
-app.get('/api/about-inquiries', async (req, res) => {
+app.get('/api/about-inquiries', requireRole('admin'), async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM about_inquiries ORDER BY submission_date DESC');
+    const result = await pool.query("SELECT * FROM inquiries WHERE source = 'about' AND NOT is_quarantined ORDER BY submission_date DESC");
     res.json(result.rows);
   } catch (err) {
     console.error('Error fetching about inquiries:', err);
@@ -1017,51 +9102,47 @@ app.get('/api/about-inquiries', async (req, res) => {
 });
 
 // Delete LMS content endpoint
-app.delete('/api/lms/content/:id', async (req, res) => {
+app.delete('/api/lms/content/:id', requireRole('admin', 'teacher'), async (req, res) => {
   const contentId = req.params.id;
   const client = await pool.connect();
 
   try {
     await client.query('BEGIN');
 
-    // First, get the content information to access the Cloudinary path
+    // First, get the content information to find the stored file
     const contentResult = await client.query(
-      'SELECT * FROM lms_content WHERE id = $1',
+      'SELECT * FROM lms_content WHERE id = $1 FOR UPDATE',
       [contentId]
     );
 
     if (contentResult.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ error: 'Content not found' });
     }
 
     const content = contentResult.rows[0];
 
-    // Extract public ID from Cloudinary URL
-    // The URL looks like: https://res.cloudinary.com/cloud_name/image/upload/v1234567890/folder/file.jpg
-    // We need to extract the 'folder/file.jpg' part which is the public ID
-    try {
-      const urlParts = content.file_url.split('/');
-      const uploadIndex = urlParts.indexOf('upload');
-
-      if (uploadIndex !== -1 && uploadIndex < urlParts.length - 2) {
-        // Extract the public ID (everything after the /upload/vXXXXXXX/ part)
-        const publicIdParts = urlParts.slice(uploadIndex + 2);
-        const publicId = publicIdParts.join('/');
-
-        // Delete from Cloudinary
-        await cloudinary.uploader.destroy(publicId);
-      }
-    } catch (cloudinaryError) {
-      console.error('Error deleting from Cloudinary:', cloudinaryError);
-      // Continue with database deletion even if Cloudinary delete fails
+    // Teachers may only delete content they uploaded
+    if (req.user.role === 'teacher' && content.created_by !== req.user.uid) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
     }
 
-    // Now delete from database
     await client.query(
       'DELETE FROM lms_content WHERE id = $1',
       [contentId]
     );
 
+    // Delete the file before committing, so a storage failure keeps the row
+    // and the delete can be retried instead of leaving an orphaned file
+    try {
+      await removeStoredFile(content.storage_driver, content.storage_path);
+    } catch (storageError) {
+      await client.query('ROLLBACK');
+      console.error('Error deleting stored file:', storageError);
+      return res.status(502).json({ error: 'Could not delete the file from storage, please try again' });
+    }
+
     await client.query('COMMIT');
 
     res.json({ success: true, message: 'Content deleted successfully' });
@@ -1075,7 +9156,7 @@ app.delete('/api/lms/content/:id', async (req, res) => {
 });
 
 // Get users endpoint with filtering
-app.get('/api/users', async (req, res) => {
+app.get('/api/users', requireRole('admin'), async (req, res) => {
   const { role } = req.query;
   let query = 'SELECT * FROM users';
   const params = [];
@@ -1096,6 +9177,187 @@ app.get('/api/users', async (req, res) => {
   }
 });
 
+// Current signed-in user, as resolved from the Firebase ID token
+app.get('/api/auth/me', authenticate, (req, res) => {
+  res.json(req.user);
+});
+
+// Update the signed-in user's preferences. The email language also applies
+// to their enrollments, which is where course emails are addressed.
+app.put('/api/auth/me/preferences', authenticate, async (req, res) => {
+  const { preferred_language } = req.body;
+
+  if (!EMAIL_LOCALES.includes(preferred_language)) {
+    return res.status(400).json({ error: `preferred_language must be one of: ${EMAIL_LOCALES.join(', ')}` });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'UPDATE users SET preferred_language = $2 WHERE id = $1 RETURNING *',
+      [req.user.id, preferred_language]
+    );
+    await client.query(
+      'UPDATE students SET preferred_language = $2 WHERE LOWER(email) = LOWER($1)',
+      [req.user.email, preferred_language]
+    );
+    await client.query(
+      "UPDATE installment_enrollments SET preferred_language = $2 WHERE LOWER(email) = LOWER($1) AND status = 'active'",
+      [req.user.email, preferred_language]
+    );
+
+    await client.query('COMMIT');
+    res.json(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error updating preferences:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Rate limits for the password reset endpoints
+const forgotPasswordIpLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  key: req => `ip:${getClientIp(req)}`
+});
+const forgotPasswordEmailLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: 3,
+  key: req => (req.body.email ? `email:${String(req.body.email).trim().toLowerCase()}` : null)
+});
+const resetPasswordLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  key: req => `ip:${getClientIp(req)}`
+});
+
+// Email a password reset link. The response is the same whether or not the
+// email belongs to an account, so it cannot be used to discover accounts.
+app.post('/api/auth/forgot-password', forgotPasswordIpLimiter, forgotPasswordEmailLimiter, async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ error: 'email is required' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const userResult = await client.query('SELECT * FROM users WHERE LOWER(email) = LOWER($1)', [String(email).trim()]);
+    const user = userResult.rows[0];
+
+    if (user) {
+      const reset = await issueAuthToken(client, user.id, 'password_reset', { requestedIp: getClientIp(req) });
+
+      await queueEmail(client, 'password-reset', {
+        name: user.name,
+        link: `${FRONTEND_URL}/reset-password?token=${reset.token}`,
+        minutes: PASSWORD_RESET_TTL_MINUTES
+      }, { to: user.email, locale: user.preferred_language });
+    }
+
+    await client.query('COMMIT');
+    res.json({ success: true, message: 'If an account exists for that email, a password reset link has been sent' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error requesting password reset:', err);
+    res.status(500).json({ error: 'Error requesting password reset' });
+  } finally {
+    client.release();
+  }
+});
+
+// Set a new password with an invitation or password reset token. Accepting
+// an invitation activates the account; a reset also signs out other sessions.
+app.post('/api/auth/reset-password', resetPasswordLimiter, async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token || !password) {
+    return res.status(400).json({ error: 'token and password are required' });
+  }
+
+  if (String(password).length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+
+  const client = await pool.connect();
+  let consumed = false;
+
+  try {
+    await client.query('BEGIN');
+
+    const tokenResult = await client.query(
+      `SELECT t.id, t.purpose, u.id AS user_id, u.uid
+       FROM auth_tokens t
+       JOIN users u ON u.id = t.user_id
+       WHERE t.token_hash = $1 AND t.used_at IS NULL AND t.revoked_at IS NULL AND t.expires_at > NOW()
+       FOR UPDATE OF t`,
+      [hashAuthToken(token)]
+    );
+    const authToken = tokenResult.rows[0];
+
+    if (!authToken) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'This link is invalid or has expired' });
+    }
+
+    await client.query('UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1', [authToken.id]);
+    // Links already sent for this account stop working once a password is set
+    const revokedResult = await client.query(
+      `UPDATE auth_tokens SET revoked_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND used_at IS NULL AND revoked_at IS NULL
+       RETURNING id`,
+      [authToken.user_id]
+    );
+
+    // Spend the token before touching Firebase so it can never change the
+    // password twice
+    await client.query('COMMIT');
+    consumed = true;
+
+    try {
+      // The user proved they own the address by following the emailed link
+      await firebaseAuth.updateUser(authToken.uid, { password: String(password), emailVerified: true });
+    } catch (err) {
+      // The password was not changed, so put the links back and let the user retry
+      await restoreAuthTokens(client, authToken.id, revokedResult.rows.map(row => row.id));
+      throw err;
+    }
+
+    await client.query(
+      'UPDATE users SET activated_at = COALESCE(activated_at, CURRENT_TIMESTAMP) WHERE id = $1',
+      [authToken.user_id]
+    ).catch(err => console.error('Error marking user as activated:', err));
+
+    if (authToken.purpose === 'password_reset') {
+      await firebaseAuth.revokeRefreshTokens(authToken.uid).catch(err =>
+        console.error('Error signing out other sessions after password reset:', err));
+    }
+
+    res.json({ success: true, message: 'Password updated successfully' });
+  } catch (err) {
+    if (!consumed) {
+      await client.query('ROLLBACK');
+    }
+
+    if (err.code === 'auth/invalid-password') {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('Error resetting password:', err);
+    res.status(500).json({ error: 'Error resetting password' });
+  } finally {
+    client.release();
+  }
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -1104,81 +9366,332 @@ app.get('/health', (req, res) => {
     uptime: process.uptime()
   });
 });
-// Add this route to your server.js file
+// Retired: the welcome email used to carry the password in plain text. Creating a
+// user with POST /api/users now emails an invitation link instead.
+app.post('/api/send-welcome-email', requireRole('admin'), (req, res) => {
+  res.status(410).json({
+    error: 'Welcome emails with passwords are no longer sent. POST /api/users sends an invitation, and POST /api/users/:id/invite resends it.'
+  });
+});
+
+// Admin data exports, built from the database at request time
+
+// Rows are read through a cursor in batches of this size and streamed out
+const EXPORT_BATCH_SIZE = parseInt(process.env.EXPORT_BATCH_SIZE, 10) || 1000;
+// xlsx workbooks are built in memory, so bigger exports have to use csv or json
+const EXPORT_XLSX_MAX_ROWS = parseInt(process.env.EXPORT_XLSX_MAX_ROWS, 10) || 100000;
+const EXPORT_FORMATS = ['xlsx', 'csv', 'json'];
+const STUDENT_PAYMENT_STATUSES = ['successful', 'partially_refunded', 'refunded'];
+
+// Columns of an inquiry export. Columns with default: false are only included
+// when asked for with ?columns=.
+function inquiryExportColumns(withPhone) {
+  return [
+    { key: 'id', label: 'ID', sql: 'i.id' },
+    { key: 'name', label: 'Name', sql: 'i.name' },
+    { key: 'email', label: 'Email', sql: 'i.email' },
+    ...(withPhone ? [{ key: 'phone', label: 'Phone', sql: 'i.phone' }] : []),
+    { key: 'subject', label: 'Subject', sql: 'i.subject' },
+    { key: 'message', label: 'Message', sql: 'i.message' },
+    { key: 'status', label: 'Status', sql: 'i.status' },
+    { key: 'assigned_to', label: 'Assigned To', sql: 'u.name', default: false },
+    { key: 'tags', label: 'Tags', sql: 'i.tags', type: 'list', default: false },
+    { key: 'preferred_language', label: 'Language', sql: 'i.preferred_language', default: false },
+    { key: 'submission_date', label: 'Submission Date', sql: 'i.submission_date' }
+  ];
+}
 
-// Welcome email endpoint for newly created users
-app.post('/api/send-welcome-email', async (req, res) => {
-  const { name, email, password } = req.body;
+// Datasets served by /api/download/:dataset. dateColumn, courseColumn and
+// statusColumn back the from/to, course_id and status filters.
+const EXPORT_DATASETS = {
+  students: {
+    sheetName: 'Students',
+    from: `students s
+      LEFT JOIN courses c ON c.id = s.course_id
+      LEFT JOIN batches b ON b.id = s.batch_id`,
+    where: [],
+    dateColumn: 's.registration_date',
+    courseColumn: 's.course_id',
+    statusColumn: 's.payment_status',
+    statuses: STUDENT_PAYMENT_STATUSES,
+    orderBy: 's.registration_date, s.id',
+    columns: [
+      { key: 'id', label: 'ID', sql: 's.id' },
+      { key: 'name', label: 'Name', sql: 's.name' },
+      { key: 'email', label: 'Email', sql: 's.email' },
+      { key: 'phone', label: 'Phone', sql: 's.phone' },
+      { key: 'course', label: 'Course', sql: 'c.title' },
+      { key: 'batch', label: 'Batch', sql: 'b.name', default: false },
+      { key: 'original_amount', label: 'Original Price', sql: 'COALESCE(s.original_amount, s.amount)', type: 'number' },
+      { key: 'discount_amount', label: 'Discount', sql: 's.discount_amount', type: 'number' },
+      { key: 'coupon_code', label: 'Coupon Code', sql: 's.coupon_code' },
+      { key: 'amount', label: 'Amount Paid', sql: 's.amount', type: 'number' },
+      { key: 'payment_id', label: 'Payment ID', sql: 's.payment_id' },
+      { key: 'payment_status', label: 'Payment Status', sql: 's.payment_status' },
+      { key: 'preferred_language', label: 'Language', sql: 's.preferred_language', default: false },
+      { key: 'guardian_name', label: 'Guardian Name', sql: 's.guardian_name', default: false },
+      { key: 'guardian_email', label: 'Guardian Email', sql: 's.guardian_email', default: false },
+      { key: 'registration_date', label: 'Registration Date', sql: 's.registration_date' }
+    ]
+  },
+  // Quarantined spam is never exported
+  'contact-messages': {
+    sheetName: 'Contact Messages',
+    from: 'inquiries i LEFT JOIN users u ON u.id = i.assigned_to',
+    where: ["i.source = 'contact'", 'NOT i.is_quarantined'],
+    dateColumn: 'i.submission_date',
+    statusColumn: 'i.status',
+    statuses: INQUIRY_STATUSES,
+    orderBy: 'i.submission_date, i.id',
+    columns: inquiryExportColumns(true)
+  },
+  'about-inquiries': {
+    sheetName: 'About Inquiries',
+    from: 'inquiries i LEFT JOIN users u ON u.id = i.assigned_to',
+    where: ["i.source = 'about'", 'NOT i.is_quarantined'],
+    dateColumn: 'i.submission_date',
+    statusColumn: 'i.status',
+    statuses: INQUIRY_STATUSES,
+    orderBy: 'i.submission_date, i.id',
+    columns: inquiryExportColumns(false)
+  }
+};
 
-  if (!name || !email || !password) {
-    return res.status(400).json({ error: 'Missing required fields for welcome email' });
+// Validate the export query string: format, columns (comma separated keys, in
+// output order), from / to (YYYY-MM-DD, inclusive, IST), course_id and status
+// (comma separated).
+function validateExportQuery(dataset, query) {
+  const errors = [];
+  const values = { conditions: [...dataset.where], params: [] };
+
+  values.format = query.format || 'xlsx';
+  if (!EXPORT_FORMATS.includes(values.format)) {
+    errors.push(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
   }
 
-  try {
-    // Prepare welcome email content
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: email,
-      subject: 'Welcome to ASTA Education LMS',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 5px;">
-          <h2 style="color: #4b0082; text-align: center;">Welcome to ASTA Education LMS</h2>
-          <p>Dear ${name},</p>
-          <p>Your account has been created successfully!</p>
-          <div style="background-color: #f9f9f9; padding: 15px; border-radius: 5px; margin: 15px 0;">
-            <h3 style="margin-top: 0; color: #4b0082;">Your Login Details:</h3>
-            <p><strong>Email:</strong> ${email}</p>
-            <p><strong>Password:</strong> ${password}</p>
-          </div>
-          <p>You can log in to your LMS now, happy learning!</p>
-          <p>We recommend changing your password after your first login.</p>
-          <p>Best regards,<br>ASTA Education Academy Team</p>
-        </div>
-      `
-    };
+  if (query.columns) {
+    const keys = String(query.columns).split(',').map(key => key.trim()).filter(Boolean);
+    const unknown = keys.filter(key => !dataset.columns.some(column => column.key === key));
 
-    // Send email
-    await new Promise((resolve, reject) => {
-      transporter.sendMail(mailOptions, (error, info) => {
-        if (error) {
-          console.error('Error sending welcome email:', error);
-          reject(error);
-        } else {
-          console.log('Welcome email sent:', info.response);
-          resolve(info);
-        }
-      });
-    });
+    if (keys.length === 0 || unknown.length > 0) {
+      errors.push(`columns must be a comma separated list of: ${dataset.columns.map(column => column.key).join(', ')}`);
+    } else {
+      values.columns = keys.map(key => dataset.columns.find(column => column.key === key));
+    }
+  } else {
+    values.columns = dataset.columns.filter(column => column.default !== false);
+  }
 
-    res.status(200).json({ success: true, message: 'Welcome email sent successfully' });
-  } catch (error) {
-    console.error('Error in welcome email processing:', error);
-    res.status(500).json({ error: 'Error sending welcome email' });
+  for (const [field, operator] of [['from', '>='], ['to', '<=']]) {
+    if (query[field] === undefined) {
+      continue;
+    }
+
+    if (!DATE_PATTERN.test(query[field]) || isNaN(new Date(query[field]).getTime())) {
+      errors.push(`${field} must be a date in YYYY-MM-DD format`);
+    } else {
+      values.params.push(query[field]);
+      values.conditions.push(
+        `(${dataset.dateColumn} AT TIME ZONE 'UTC' AT TIME ZONE 'Asia/Kolkata')::date ${operator} $${values.params.length}`
+      );
+    }
   }
-});
 
-// Serve the Excel files if needed (e.g., for admin download)
-app.get('/api/download/students', (req, res) => {
-  if (fs.existsSync(excelFilePath)) {
-    res.download(excelFilePath);
-  } else {
-    res.status(404).json({ error: 'Students data file not found' });
+  if (query.course_id !== undefined) {
+    const courseId = parseInt(query.course_id, 10);
+
+    if (!dataset.courseColumn) {
+      errors.push('course_id is not a filter for this export');
+    } else if (!(courseId > 0)) {
+      errors.push('course_id must be a positive integer');
+    } else {
+      values.params.push(courseId);
+      values.conditions.push(`${dataset.courseColumn} = $${values.params.length}`);
+    }
   }
-});
 
-app.get('/api/download/contact-messages', (req, res) => {
-  if (fs.existsSync(contactExcelPath)) {
-    res.download(contactExcelPath);
-  } else {
-    res.status(404).json({ error: 'Contact messages file not found' });
+  if (query.status !== undefined) {
+    const statuses = String(query.status).split(',').map(status => status.trim()).filter(Boolean);
+
+    if (statuses.length === 0 || statuses.some(status => !dataset.statuses.includes(status))) {
+      errors.push(`status must be a comma separated list of: ${dataset.statuses.join(', ')}`);
+    } else {
+      values.params.push(statuses);
+      values.conditions.push(`${dataset.statusColumn} = ANY($${values.params.length})`);
+    }
   }
+
+  return { errors, values };
+}
+
+// Convert a database value for the given export format. DECIMAL columns come back
+// from pg as strings.
+function exportCellValue(column, value, format) {
+  if (value === null || value === undefined) {
+    return format === 'json' ? null : '';
+  }
+  if (column.type === 'number') {
+    return parseFloat(value);
+  }
+  if (column.type === 'list' && format !== 'json') {
+    return value.join(', ');
+  }
+  if (value instanceof Date && format === 'csv') {
+    return value.toISOString();
+  }
+  return value;
+}
+
+// Quote a CSV field. Text that a spreadsheet would run as a formula gets a
+// leading apostrophe; phone numbers like +91 98765 43210 are left alone.
+function csvField(value) {
+  let text = String(value);
+
+  if (typeof value === 'string' && /^[=@\t\r]|^[+-](?![\d\s()-]*$)/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Streaming writers for the csv and json formats
+const EXPORT_WRITERS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    // The byte order mark makes Excel read the file as UTF-8 (Hindi names)
+    start: columns => `\ufeff${columns.map(column => csvField(column.label)).join(',')}\r\n`,
+    row: (columns, values) => `${values.map(csvField).join(',')}\r\n`,
+    end: () => ''
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    start: () => '[',
+    row: (columns, values, index) =>
+      (index > 0 ? ',' : '') + JSON.stringify(Object.fromEntries(columns.map((column, i) => [column.key, values[i]]))),
+    end: () => ']'
+  }
+};
+
+// Wait until a response's buffer drains, or the client goes away
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// List the exports with their columns, filters and statuses
+app.get('/api/download', requireRole('admin'), (req, res) => {
+  res.json(Object.entries(EXPORT_DATASETS).map(([name, dataset]) => ({
+    name,
+    formats: EXPORT_FORMATS,
+    columns: dataset.columns.map(column => ({
+      key: column.key,
+      label: column.label,
+      default: column.default !== false
+    })),
+    filters: ['from', 'to', ...(dataset.courseColumn ? ['course_id'] : []), 'status'],
+    statuses: dataset.statuses
+  })));
 });
 
-app.get('/api/download/about-inquiries', (req, res) => {
-  if (fs.existsSync(aboutExcelPath)) {
-    res.download(aboutExcelPath);
-  } else {
-    res.status(404).json({ error: 'About inquiries file not found' });
+// Export students, contact messages or about inquiries from the database
+// (?format=xlsx|csv|json&columns=&from=&to=&course_id=&status=)
+app.get('/api/download/:dataset', requireRole('admin'), async (req, res) => {
+  const dataset = EXPORT_DATASETS[req.params.dataset];
+
+  if (!dataset) {
+    return res.status(404).json({ error: 'Export not found' });
+  }
+
+  const { errors, values } = validateExportQuery(dataset, req.query);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ errors });
+  }
+
+  const { format, columns, conditions, params } = values;
+  const filename = `${req.params.dataset}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  const writer = EXPORT_WRITERS[format];
+  const sheetRows = [];
+  let rowCount = 0;
+
+  const client = await pool.connect();
+
+  try {
+    // Read the whole export from one snapshot, a batch at a time
+    await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+    await client.query(
+      `DECLARE export_cursor NO SCROLL CURSOR FOR
+       SELECT ${columns.map((column, i) => `${column.sql} AS c${i}`).join(', ')}
+       FROM ${dataset.from}
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY ${dataset.orderBy}`,
+      params
+    );
+
+    if (writer) {
+      res.setHeader('Content-Type', writer.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.write(writer.start(columns));
+    }
+
+    while (!res.destroyed) {
+      const batch = await client.query(`FETCH ${EXPORT_BATCH_SIZE} FROM export_cursor`);
+
+      if (!writer && rowCount + batch.rows.length > EXPORT_XLSX_MAX_ROWS) {
+        await client.query('ROLLBACK');
+        return res.status(413).json({
+          error: `Exports of more than ${EXPORT_XLSX_MAX_ROWS} rows are only available as csv or json`
+        });
+      }
+
+      for (const row of batch.rows) {
+        const cells = columns.map((column, i) => exportCellValue(column, row[`c${i}`], format));
+
+        if (writer) {
+          if (!res.write(writer.row(columns, cells, rowCount))) {
+            await waitForDrain(res);
+          }
+        } else {
+          sheetRows.push(cells);
+        }
+        rowCount++;
+      }
+
+      if (batch.rows.length < EXPORT_BATCH_SIZE) {
+        break;
+      }
+    }
+
+    await client.query('COMMIT');
+
+    if (writer) {
+      res.end(writer.end());
+    } else {
+      const worksheet = xlsx.utils.aoa_to_sheet(
+        [columns.map(column => column.label), ...sheetRows],
+        { dateNF: 'yyyy-mm-dd hh:mm' }
+      );
+      sendWorksheet(res, worksheet, dataset.sheetName, filename);
+    }
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error(`Error exporting ${req.params.dataset}:`, err);
+
+    if (res.headersSent) {
+      // Cut the download off so a partial file is not mistaken for a complete one
+      res.destroy(err);
+    } else {
+      res.status(500).json({ error: 'Error building export' });
+    }
+  } finally {
+    client.release();
   }
 });
 